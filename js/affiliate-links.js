@@ -0,0 +1,162 @@
+// Affiliate links: per-platform tag injection, UTM parameters per placement and tag checks.
+// Every outbound offer link goes through build(); only short affiliate links are kept verbatim
+
+class AffiliateLinks {
+    /**
+     * Our affiliate tag or ID on each platform. This is the only place to set them:
+     * RULES reads from here, and scripts/prerender.js fails the build while a platform
+     * with store links (not short links) in the database has no ID.
+     * - Shopee: af_siteid from the Shopee affiliate panel
+     * - AliExpress: aff_fcid from the AliExpress Portals tracking ID
+     * - Amazon: Associates store tag (e.g. "minhaloja-20")
+     * - Magazine Luiza: partner_id from the Magazine Você / Parceiro Magalu account
+     * - TEMU: refer_share_id from the TEMU affiliate program
+     * @returns {Object} Platform -> tag or ID ('' while not configured)
+     */
+    static get AFFILIATE_IDS() {
+        return {
+            Shopee: '',
+            AliExpress: '',
+            Amazon: '',
+            'Magazine Luiza': '',
+            TEMU: ''
+        };
+    }
+
+    /**
+     * Affiliate rules by platform (same names as ProductSchema.PLATFORMS).
+     * - hosts: store domains (subdomains included); the tag is added to these links
+     * - affiliateHosts: short links / partner stores that already carry the affiliate (kept as they are)
+     * - param: query parameter with the affiliate tag or ID
+     * - id: our tag or ID (from AFFILIATE_IDS)
+     * @returns {Object} Platform -> rule
+     */
+    static get RULES() {
+        const ids = this.AFFILIATE_IDS;
+        return {
+            Shopee: { hosts: ['shopee.com.br', 'shopee.com'], affiliateHosts: ['s.shopee.com.br', 'shope.ee'], param: 'af_siteid', id: ids.Shopee },
+            AliExpress: { hosts: ['aliexpress.com', 'aliexpress.us'], affiliateHosts: ['s.click.aliexpress.com', 'a.aliexpress.com'], param: 'aff_fcid', id: ids.AliExpress },
+            Amazon: { hosts: ['amazon.com.br', 'amazon.com'], affiliateHosts: ['amzn.to', 'a.co'], param: 'tag', id: ids.Amazon },
+            'Magazine Luiza': { hosts: ['magazineluiza.com.br', 'magalu.com'], affiliateHosts: ['magazinevoce.com.br', 'divulgador.magalu.com'], param: 'partner_id', id: ids['Magazine Luiza'] },
+            TEMU: { hosts: ['temu.com'], affiliateHosts: ['temu.to'], param: 'refer_share_id', id: ids.TEMU }
+        };
+    }
+
+    /**
+     * UTM parameters added to every store link (utm_content is the placement)
+     * @returns {Object} { source, medium, campaign }
+     */
+    static get UTM() {
+        return { source: 'cacadorofertas', medium: 'afiliado', campaign: 'ofertas' };
+    }
+
+    /**
+     * Places where links are shown (value of utm_content)
+     * @returns {Object} Placement name -> utm_content
+     */
+    static get PLACEMENTS() {
+        return { card: 'card', modal: 'modal', copy: 'copiar_link', compare: 'comparar', storeList: 'lojas', export: 'exportacao' };
+    }
+
+    /**
+     * Parse an http(s) link
+     * @param {string} link - Link as stored in the product
+     * @returns {URL|null} Parsed URL, or null if empty/invalid/not http(s)
+     */
+    static parse(link) {
+        try {
+            const url = new URL(String(link || '').trim());
+            return /^https?:$/.test(url.protocol) ? url : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Find the platform rule of a link by its domain
+     * @param {URL} url - Parsed link
+     * @returns {Object|null} { platform, rule, affiliateHost } or null for unknown domains
+     */
+    static match(url) {
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const matches = (domains) => domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+        for (const [platform, rule] of Object.entries(this.RULES)) {
+            // Links curtos primeiro: s.shopee.com.br também termina em shopee.com.br
+            if (matches(rule.affiliateHosts)) return { platform, rule, affiliateHost: true };
+        }
+        for (const [platform, rule] of Object.entries(this.RULES)) {
+            if (matches(rule.hosts)) return { platform, rule, affiliateHost: false };
+        }
+        return null;
+    }
+
+    /**
+     * Build the outbound link of a product: affiliate tag added or replaced (store domains
+     * with a configured id) and UTM parameters for the placement. Short links
+     * (affiliateHosts) are kept as they are: their redirect usually drops the query.
+     * @param {Object} product - Product with link_afiliado
+     * @param {string} placement - Key of PLACEMENTS ('card', 'modal', 'copy'...)
+     * @returns {string} Link to use, or '' when the product has no valid link
+     */
+    static build(product, placement) {
+        const url = this.parse(product && product.link_afiliado);
+        if (!url) return '';
+
+        // Aspas simples codificadas: o link vai em atributos e em onclick="...('link')"
+        const match = this.match(url);
+        if (match && match.affiliateHost) return url.href.replace(/'/g, '%27');
+        if (match && match.rule.id) {
+            url.searchParams.set(match.rule.param, match.rule.id);
+        }
+
+        const utm = this.UTM;
+        url.searchParams.set('utm_source', utm.source);
+        url.searchParams.set('utm_medium', utm.medium);
+        url.searchParams.set('utm_campaign', utm.campaign);
+        url.searchParams.set('utm_content', this.PLACEMENTS[placement] || placement || 'site');
+        return url.href.replace(/'/g, '%27');
+    }
+
+    /**
+     * Platform whose affiliate ID is missing for a link: a store link (not a short link)
+     * without a tag, of a platform without an ID in AFFILIATE_IDS, leaves the site earning nothing
+     * @param {string} link - Link as stored in the product
+     * @returns {string|null} Platform name, or null if the link does not need an ID
+     */
+    static missingId(link) {
+        const url = this.parse(link);
+        const match = url && this.match(url);
+        if (!match || match.affiliateHost || match.rule.id) return null;
+        return url.searchParams.get(match.rule.param) ? null : match.platform;
+    }
+
+    /**
+     * Check whether the built link will carry our affiliate tag (used by ProductSchema,
+     * so problems show up in ?debug=dados, in the prerender and in the import script)
+     * @param {string} link - Link as stored in the product
+     * @param {string} platform - Product platform
+     * @returns {string|null} Problem description, or null if the link earns commission
+     */
+    static check(link, platform) {
+        const url = this.parse(link);
+        if (!url) return null; // link inválido já é erro do esquema
+
+        const match = this.match(url);
+        if (!match) return `domínio ${url.hostname} sem regra de afiliado (link usado sem tag)`;
+        if (platform && match.platform.toLowerCase() !== String(platform).trim().toLowerCase()) {
+            return `link da ${match.platform}, mas a plataforma do produto é ${platform}`;
+        }
+        if (match.affiliateHost) return null;
+
+        const { rule } = match;
+        const current = url.searchParams.get(rule.param);
+        if (rule.id) {
+            return current && current !== rule.id ? `tag de afiliado "${current}" substituída por "${rule.id}"` : null;
+        }
+        return current ? null : `link sem tag de afiliado (${rule.param}) e sem ID configurado para ${match.platform} (AffiliateLinks.AFFILIATE_IDS)`;
+    }
+}
+
+// Export for use in other modules
+window.AffiliateLinks = AffiliateLinks;
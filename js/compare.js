@@ -0,0 +1,431 @@
+// Side-by-side product comparison: "Comparar" checkboxes, sticky drawer and comparison table.
+// The selection is kept in localStorage; "Compartilhar" copies a ?comparar= link that opens the table
+// (a received comparison is only viewed: the visitor's own selection comes back when it is closed).
+
+class ProductComparison {
+    /**
+     * Maximum number of products in a comparison
+     * @returns {number} Limit
+     */
+    static get MAX_PRODUCTS() {
+        return 4;
+    }
+
+    /**
+     * localStorage key
+     * @returns {string} Storage key
+     */
+    static get STORAGE_KEY() {
+        return 'comparar';
+    }
+
+    /**
+     * URL parameter with the comma-separated product IDs
+     * @returns {string} Parameter name
+     */
+    static get URL_PARAM() {
+        return 'comparar';
+    }
+
+    /**
+     * Table rows: label, value getter, formatter and which value is best ('min', 'max' or none)
+     * @returns {Array} Row definitions
+     */
+    static get ROWS() {
+        const currency = value => value > 0 ? Utils.formatCurrency(value) : '—';
+        return [
+            { label: 'Preço', value: p => p.preco_promocional, format: currency, best: 'min' },
+            { label: 'Preço original', value: p => p.preco_original, format: currency },
+            { label: 'Desconto', value: p => p.desconto_percentual, format: v => v > 0 ? `${v}%` : '—', best: 'max' },
+            {
+                label: 'Economia',
+                value: p => p.preco_original > p.preco_promocional && p.preco_promocional > 0 ? p.preco_original - p.preco_promocional : 0,
+                format: currency,
+                best: 'max'
+            },
+            { label: 'Avaliação', value: p => p.avaliacao, format: v => v > 0 ? `${v.toFixed(1)} ★` : '—', best: 'max' },
+            { label: 'Vendas', value: p => p.vendas, format: v => v > 0 ? Utils.formatNumber(v) : '—', best: 'max' },
+            { label: 'Plataforma', value: p => p.plataforma, format: v => Utils.sanitizeHtml(v || '—') },
+            { label: 'Categoria', value: p => p.categoria_principal, format: v => Utils.sanitizeHtml(v || '—') },
+            { label: 'Nichos', value: p => p.nichos, format: v => v && v.length ? Utils.sanitizeHtml(v.join(', ')) : '—' },
+            {
+                label: 'Fim da promoção',
+                value: p => p.data_fim_promocao ? p.data_fim_promocao.getTime() : 0,
+                format: v => v > 0 ? Utils.formatDate(new Date(v)) : 'Sem prazo',
+                best: 'max'
+            }
+        ];
+    }
+
+    /**
+     * Load the selection (a shared ?comparar= link, viewed without saving, or localStorage) and wire the UI
+     * @param {Object} options - { findProduct: (id) => product|undefined }
+     */
+    static init({ findProduct }) {
+        this.findProduct = findProduct;
+
+        // Comparação recebida por link: exibida sem substituir a seleção salva do visitante
+        const fromUrl = Utils.getQueryParam(this.URL_PARAM);
+        const shared = fromUrl !== null ? this.parseIds(fromUrl) : [];
+        this.viewingShared = shared.length > 1;
+        this.ids = this.viewingShared ? shared : this.readStorage();
+        this.openFromUrl = this.viewingShared;
+
+        // O parâmetro só serve para abrir a comparação recebida; mantido na URL, iria junto
+        // em todo link de produto copiado ou compartilhado depois
+        if (fromUrl !== null) {
+            const url = new URL(window.location);
+            url.searchParams.delete(this.URL_PARAM);
+            window.history.replaceState(window.history.state, '', url);
+        }
+
+        document.addEventListener('change', (e) => {
+            if (!e.target.matches('.compare-checkbox')) return;
+            this.setSelected(e.target.dataset.compareId, e.target.checked);
+        });
+
+        const drawer = document.getElementById('compare-drawer');
+        if (drawer) {
+            drawer.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-compare-remove]');
+                if (removeBtn) this.setSelected(removeBtn.dataset.compareRemove, false);
+                if (e.target.closest('[data-compare-open]')) this.openTable();
+                if (e.target.closest('[data-compare-clear]')) this.clear();
+            });
+        }
+    }
+
+    /**
+     * Parse a comma-separated list of IDs
+     * @param {string} value - Raw list
+     * @returns {Array<string>} Unique IDs (at most MAX_PRODUCTS)
+     */
+    static parseIds(value) {
+        const ids = String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+        return [...new Set(ids)].slice(0, this.MAX_PRODUCTS);
+    }
+
+    /**
+     * Read the stored selection
+     * @returns {Array<string>} Product IDs
+     */
+    static readStorage() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(list) ? this.parseIds(list.join(',')) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist the selection in localStorage (not while viewing a shared comparison)
+     */
+    static save() {
+        if (this.viewingShared) return;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.ids));
+        } catch (e) {
+            // localStorage cheio ou indisponível
+        }
+    }
+
+    /**
+     * Leave a shared comparison and go back to the visitor's saved selection
+     */
+    static leaveShared() {
+        if (!this.viewingShared) return;
+        this.viewingShared = false;
+        this.ids = this.readStorage();
+        this.render();
+    }
+
+    /**
+     * Link that opens the current comparison (site root + ?comparar=)
+     * @returns {string} Absolute URL
+     */
+    static getShareUrl() {
+        const url = new URL(ProductRouter.getBasePath(window.location.pathname), window.location.origin);
+        url.searchParams.set(this.URL_PARAM, this.ids.join(','));
+        return url.href;
+    }
+
+    /**
+     * Copy the comparison link to the clipboard
+     */
+    static async share() {
+        const success = await Utils.copyToClipboard(this.getShareUrl());
+        if (success) Utils.showNotification('Link da comparação copiado!', 'success');
+        else Utils.showNotification('Erro ao copiar link', 'error');
+    }
+
+    /**
+     * Selected products that exist in the catalog
+     * @returns {Array} Products
+     */
+    static getProducts() {
+        return this.ids.map(id => this.findProduct(id)).filter(Boolean);
+    }
+
+    /**
+     * Add or remove a product from the comparison
+     * @param {string} id - Product ID
+     * @param {boolean} selected - Whether it should be compared
+     */
+    static setSelected(id, selected) {
+        id = String(id);
+        const index = this.ids.indexOf(id);
+
+        if (selected && index === -1) {
+            if (this.ids.length >= this.MAX_PRODUCTS) {
+                Utils.showNotification(`Compare até ${this.MAX_PRODUCTS} produtos por vez`, 'info', 3000);
+                this.updateToggles();
+                return;
+            }
+            this.ids.push(id);
+        } else if (!selected && index !== -1) {
+            this.ids.splice(index, 1);
+        }
+
+        this.save();
+        this.render();
+        if (typeof Logger !== 'undefined') Logger.info('Comparação atualizada', { ids: this.ids });
+    }
+
+    /**
+     * Remove all products from the comparison
+     */
+    static clear() {
+        this.ids = [];
+        this.save();
+        this.closeTable();
+        this.render();
+    }
+
+    /**
+     * Render the checkbox shown on product cards
+     * @param {Object} product - Product data
+     * @returns {string} HTML string
+     */
+    static renderToggle(product) {
+        const checked = (this.ids || []).includes(String(product.id));
+        return `
+            <label class="compare-toggle">
+                <input type="checkbox" class="compare-checkbox w-4 h-4" data-compare-id="${product.id}" ${checked ? 'checked' : ''}>
+                Comparar
+            </label>
+        `;
+    }
+
+    /**
+     * Sync every "Comparar" checkbox with the selection
+     * @param {HTMLElement|Document} root - Where to look for checkboxes
+     */
+    static updateToggles(root = document) {
+        root.querySelectorAll('.compare-checkbox').forEach(input => {
+            input.checked = this.ids.includes(input.dataset.compareId);
+        });
+    }
+
+    /**
+     * Update checkboxes, the drawer and an open table after a change
+     * (and open the table once for a shared ?comparar= link)
+     */
+    static render() {
+        this.updateToggles();
+        this.renderDrawer();
+
+        if (document.querySelector('.compare-modal')) {
+            if (this.getProducts().length > 1) this.openTable();
+            else this.closeTable();
+        } else if (this.openFromUrl) {
+            this.openFromUrl = false;
+            if (this.getProducts().length > 1) {
+                this.openTable();
+                Utils.showNotification('Comparação compartilhada: sua seleção salva volta ao fechar a tabela', 'info', 5000);
+            } else {
+                this.leaveShared();
+            }
+        }
+    }
+
+    /**
+     * Render the sticky drawer with the selected products
+     */
+    static renderDrawer() {
+        const drawer = document.getElementById('compare-drawer');
+        if (!drawer) return;
+
+        const products = this.getProducts();
+        drawer.style.display = products.length ? 'block' : 'none';
+        if (!products.length) return;
+
+        const items = products.map(product => {
+            const image = ProductRenderer.getThumbnailSrc(product) || Utils.getPlaceholderImage(48, 48);
+            return `
+                <li class="compare-drawer-item">
+                    <img src="${image}" alt="" class="w-12 h-12 object-cover rounded">
+                    <span class="text-sm line-clamp-2">${Utils.sanitizeHtml(product.titulo)}</span>
+                    <button type="button" class="compare-drawer-remove" data-compare-remove="${product.id}" aria-label="Remover ${Utils.sanitizeHtml(product.titulo)} da comparação">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+        drawer.innerHTML = `
+            <div class="container mx-auto px-4 py-3 flex flex-col md:flex-row md:items-center gap-3">
+                <ul class="flex-1 grid grid-cols-2 lg:grid-cols-4 gap-2" aria-label="Produtos selecionados para comparar">
+                    ${items}
+                </ul>
+                <div class="flex gap-2">
+                    <button type="button" class="btn-primary px-4 py-2" data-compare-open ${products.length < 2 ? 'disabled' : ''}>
+                        Comparar (${products.length})
+                    </button>
+                    <button type="button" class="btn-secondary px-4 py-2" data-compare-clear>Limpar</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Check which values of a row are the best ones
+     * @param {Array<number>} values - Row values
+     * @param {string} best - 'min' or 'max'
+     * @returns {Array<boolean>} Whether each value is highlighted
+     */
+    static getBestFlags(values, best) {
+        const valid = values.filter(value => typeof value === 'number' && value > 0);
+        // Só destaca quando há o que comparar: dois valores válidos e diferentes
+        if (!best || valid.length < 2 || valid.every(value => value === valid[0])) {
+            return values.map(() => false);
+        }
+        const target = best === 'min' ? Math.min(...valid) : Math.max(...valid);
+        return values.map(value => value === target);
+    }
+
+    /**
+     * Render the comparison table
+     * @param {Array} products - Products to compare
+     * @returns {string} HTML string for the comparison modal
+     */
+    static renderTable(products) {
+        const headers = products.map(product => `
+            <th scope="col" class="compare-table-product">
+                <span class="block font-semibold text-gray-800 line-clamp-3">${Utils.sanitizeHtml(product.titulo)}</span>
+                <button type="button" class="text-xs text-gray-500 hover:text-red-600 mt-1" data-compare-remove="${product.id}">Remover</button>
+            </th>
+        `).join('');
+
+        const rows = this.ROWS.map(row => {
+            const values = products.map(row.value);
+            const flags = this.getBestFlags(values, row.best);
+            return `
+                <tr>
+                    <th scope="row">${row.label}</th>
+                    ${values.map((value, i) => `
+                        <td class="${flags[i] ? 'compare-best' : ''}">${row.format(value)}</td>
+                    `).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        const links = products.map(product => `
+            <td>
+                ${product.link_afiliado ? `
+                    <a href="${AffiliateLinks.build(product, 'compare')}" target="_blank" rel="noopener noreferrer" class="btn-primary inline-block px-3 py-2 text-sm"
+                       onclick="Utils.trackClick('${product.id}', '${product.plataforma}', 'compare_click')">Ver Oferta</a>
+                ` : '—'}
+            </td>
+        `).join('');
+
+        return `
+            <div class="compare-modal fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-labelledby="compare-modal-title" onclick="ProductComparison.closeTable()">
+                <div class="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] overflow-auto" onclick="event.stopPropagation()" data-compare-table>
+                    <div class="p-6">
+                        <div class="flex justify-between items-center mb-4">
+                            <h2 id="compare-modal-title" class="text-2xl font-bold text-gray-800">Comparar produtos</h2>
+                            <div class="flex items-center gap-3">
+                                <button type="button" onclick="ProductComparison.share()" class="btn-secondary px-3 py-2 text-sm">
+                                    <i data-lucide="share-2" class="w-4 h-4 inline mr-1"></i>
+                                    Compartilhar
+                                </button>
+                                <button type="button" onclick="ProductComparison.closeTable()" class="text-gray-500 hover:text-gray-700" aria-label="Fechar">
+                                    <i data-lucide="x" class="w-6 h-6"></i>
+                                </button>
+                            </div>
+                        </div>
+                        <table class="compare-table">
+                            <thead>
+                                <tr>
+                                    <td></td>
+                                    ${headers}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows}
+                                <tr>
+                                    <th scope="row"></th>
+                                    ${links}
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open (or refresh) the comparison table
+     */
+    static openTable() {
+        const products = this.getProducts();
+        if (products.length < 2) {
+            Utils.showNotification('Selecione ao menos 2 produtos para comparar', 'info', 3000);
+            return;
+        }
+
+        const current = document.querySelector('.compare-modal');
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = this.renderTable(products);
+        const modal = wrapper.firstElementChild;
+
+        // Cliques em "Remover" dentro da tabela (o conteúdo interrompe a propagação)
+        modal.querySelector('[data-compare-table]').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-compare-remove]');
+            if (removeBtn) this.setSelected(removeBtn.dataset.compareRemove, false);
+        });
+
+        if (current) {
+            current.replaceWith(modal);
+        } else {
+            document.body.appendChild(modal);
+            const closeBtn = modal.querySelector('[aria-label="Fechar"]');
+            if (closeBtn) closeBtn.focus();
+        }
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Close the comparison table, if open (a shared comparison gives way to the saved selection)
+     * @returns {boolean} True if it was open
+     */
+    static closeTable() {
+        const modal = document.querySelector('.compare-modal');
+        if (!modal) return false;
+        modal.remove();
+        this.leaveShared();
+        return true;
+    }
+}
+
+// Selected product IDs, in selection order
+ProductComparison.ids = [];
+
+// Whether ids is a comparison received by link (shown, never saved)
+ProductComparison.viewingShared = false;
+
+// Export for use in other modules
+window.ProductComparison = ProductComparison;
@@ -0,0 +1,131 @@
+// Countdown timers for offers with a deadline (data_fim_promocao)
+
+class Countdown {
+    /**
+     * Remaining time below which the countdown switches to the urgent style
+     * @returns {number} Milliseconds
+     */
+    static get URGENT_THRESHOLD_MS() {
+        return 60 * 60 * 1000;
+    }
+
+    /**
+     * Render a countdown element. All countdowns on the page are updated by a
+     * single shared timer (see start()).
+     * @param {Date|string} endDate - Promotion end date
+     * @param {Object} options - { variant: 'card' | 'modal' }
+     * @returns {string} HTML string for the countdown, or '' without a valid date
+     */
+    static render(endDate, { variant = 'card' } = {}) {
+        const end = endDate instanceof Date ? endDate : new Date(endDate);
+        if (!endDate || isNaN(end.getTime())) return '';
+
+        const state = this.getState(end);
+        const stateClass = state.ended ? 'countdown-ended' : (state.urgent ? 'countdown-urgent' : '');
+
+        return `
+            <div class="countdown countdown-${variant} ${stateClass}" data-countdown-end="${end.toISOString()}" role="timer" aria-label="Oferta termina em ${Utils.formatDate(end)}">
+                <i data-lucide="clock" class="w-4 h-4"></i>
+                <span class="countdown-label">${state.label}</span>
+                <span class="countdown-value">${state.value}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Compute the display state for an end date
+     * @param {Date} end - Promotion end date
+     * @param {Date} now - Reference date
+     * @returns {Object} { remaining, ended, urgent, label, value }
+     */
+    static getState(end, now = new Date()) {
+        const remaining = end.getTime() - now.getTime();
+
+        if (remaining <= 0) {
+            return { remaining: 0, ended: true, urgent: false, label: 'Encerrada', value: '' };
+        }
+
+        return {
+            remaining,
+            ended: false,
+            urgent: remaining <= this.URGENT_THRESHOLD_MS,
+            label: 'Termina em',
+            value: this.formatRemaining(remaining)
+        };
+    }
+
+    /**
+     * Format remaining time as "2d 03:04:05" or "03:04:05"
+     * @param {number} ms - Remaining milliseconds
+     * @returns {string} Formatted remaining time
+     */
+    static formatRemaining(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = n => String(n).padStart(2, '0');
+
+        const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+        return days > 0 ? `${days}d ${clock}` : clock;
+    }
+
+    /**
+     * Update a single countdown element
+     * @param {HTMLElement} element - Countdown element
+     * @param {Date} now - Reference date
+     */
+    static update(element, now = new Date()) {
+        const state = this.getState(new Date(element.dataset.countdownEnd), now);
+
+        element.classList.toggle('countdown-urgent', state.urgent);
+        element.classList.toggle('countdown-ended', state.ended);
+
+        const label = element.querySelector('.countdown-label');
+        const value = element.querySelector('.countdown-value');
+        if (label && label.textContent !== state.label) label.textContent = state.label;
+        if (value) value.textContent = state.value;
+    }
+
+    /**
+     * Update every running countdown on the page; stops the timer when none is left
+     */
+    static tick() {
+        const now = new Date();
+        const elements = document.querySelectorAll('[data-countdown-end]:not(.countdown-ended)');
+
+        if (elements.length === 0) {
+            this.stop();
+            return;
+        }
+
+        elements.forEach(element => this.update(element, now));
+    }
+
+    /**
+     * Start the shared one-second timer (no-op if already running)
+     */
+    static start() {
+        if (this.timer) return;
+        if (!document.querySelector('[data-countdown-end]:not(.countdown-ended)')) return;
+
+        this.timer = setInterval(() => this.tick(), 1000);
+        if (typeof Logger !== 'undefined') Logger.debug('Timer de contagem regressiva iniciado');
+    }
+
+    /**
+     * Stop the shared timer
+     */
+    static stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        if (typeof Logger !== 'undefined') Logger.debug('Timer de contagem regressiva parado');
+    }
+}
+
+Countdown.timer = null;
+
+// Export for use in other modules
+window.Countdown = Countdown;
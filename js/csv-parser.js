@@ -1,217 +1,356 @@
-// ATENÇÃO: CSV Parser marcado como obsoleto — o projeto agora utiliza exclusivamente SQLite como fonte de produtos.
-// Este arquivo pode ser removido em versões futuras.
+// CSV Parser: reads products from CSV files or spreadsheets published as CSV
+// (used by the 'csv' data source, see js/data-sources.js)
 
-// CSV Parser for loading and processing product data
+// RFC 4180 state machine fed in chunks: quoted fields may contain delimiters, line breaks
+// and escaped quotes (""); BOM, CRLF/LF/CR line endings and ',' ';' or tab delimiters are accepted
+class CSVStreamParser {
+    /**
+     * Delimiters tried when none is given (the most frequent one in the header wins)
+     * @returns {Array<string>} Delimiters
+     */
+    static get DELIMITERS() {
+        return [',', ';', '\t'];
+    }
 
-class CSVParser {
     /**
-     * Load products from CSV file
-     * @returns {Promise<Array>} Array of product objects
+     * Pick the delimiter of a header line (ignoring quoted text)
+     * @param {string} header - First line of the file
+     * @returns {string} Delimiter (',' when none is found)
      */
-    static async loadProducts() {
-        try {
-            if (typeof Logger !== 'undefined') Logger.info('CSVParser.loadProducts iniciado', { url: 'Google Sheets CSV' });
-            const response = await fetch('https://docs.google.com/spreadsheets/d/e/2PACX-1vRAJCC7mpCFoAgZxCXojqj49uKqEMz1kNXTJmzTpUcgJp81mOwU7MlonIUWgaFzohGdW2Af4h6OQ1YL/pub?gid=0&single=true&output=csv');
-            if (!response.ok) {
-                if (typeof Logger !== 'undefined') Logger.warn('CSV fetch retornou não ok', { status: response.status });
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const csvText = await response.text();
-            if (typeof Logger !== 'undefined') Logger.info('CSV carregado, iniciando parse', { length: csvText.length });
-            return this.parseCSV(csvText);
-        } catch (error) {
-            if (typeof Logger !== 'undefined') Logger.error('CSVParser.loadProducts falhou', { error: String(error) });
-            console.error('Erro ao carregar produtos:', error);
-            // Return sample data for demonstration
-            return this.getSampleData();
+    static detectDelimiter(header) {
+        const counts = new Map(this.DELIMITERS.map(delimiter => [delimiter, 0]));
+        let quoted = false;
+        for (const char of header) {
+            if (char === '"') quoted = !quoted;
+            else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
         }
+
+        let best = ',';
+        counts.forEach((count, delimiter) => {
+            if (count > counts.get(best)) best = delimiter;
+        });
+        return best;
     }
-    
+
     /**
-     * Parse CSV text into array of objects
-     * @param {string} csvText - Raw CSV text
-     * @returns {Array} Array of product objects
+     * Position of the first line break outside quotes
+     * @param {string} text - Text
+     * @returns {number} Index, or -1 if the first line is not complete yet
      */
-    static parseCSV(csvText) {
-        const lines = csvText.split('\n');
-        if (lines.length < 2) {
-            console.warn('CSV file appears to be empty or invalid');
-            return this.getSampleData();
+    static findLineEnd(text) {
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') quoted = !quoted;
+            else if (!quoted && (char === '\n' || char === '\r')) return i;
         }
-        
-        const headers = this.parseCSVLine(lines[0]);
-        const products = [];
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = this.parseCSVLine(line);
-            if (values.length !== headers.length) {
-                console.warn(`Line ${i + 1} has ${values.length} values but expected ${headers.length}`);
-                continue;
-            }
-            
-            const product = {};
-            headers.forEach((header, index) => {
-                product[header] = values[index];
-            });
-            
-            // Process and validate product data
-            const processedProduct = this.processProductData(product);
-            if (processedProduct) {
-                products.push(processedProduct);
-            }
+        return -1;
+    }
+
+    /**
+     * @param {Object} options - { delimiter (detected from the header when omitted),
+     *                            onRecord: (fields, { row, line }) => void,
+     *                            onError: ({ row, column, line, severity, message }) => void }
+     */
+    constructor({ delimiter = null, onRecord, onError } = {}) {
+        this.delimiter = delimiter;
+        this.onRecord = onRecord;
+        this.onError = onError || (() => {});
+
+        this.pending = '';       // text held until the delimiter is known
+        this.started = false;    // BOM already checked
+        this.state = 'start';    // 'start' | 'unquoted' | 'quoted' | 'quote' (quote inside a quoted field)
+        this.field = '';
+        this.fields = [];
+        this.skipLineFeed = false; // '\r' just seen: a following '\n' is the same line break
+
+        this.row = 1;            // record number (the header is row 1)
+        this.line = 1;           // physical line
+        this.recordLine = 1;     // line where the current record started
+        this.fieldLine = 1;      // line where the current field started
+    }
+
+    /**
+     * Feed a chunk of text
+     * @param {string} text - Next chunk
+     */
+    push(text) {
+        if (!text) return;
+        if (!this.started) {
+            if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+            this.started = true;
         }
-        
-        console.log(`Loaded ${products.length} products from CSV`);
-        return products;
+
+        if (!this.delimiter) {
+            this.pending += text;
+            const end = CSVStreamParser.findLineEnd(this.pending);
+            if (end === -1) return;
+            this.delimiter = CSVStreamParser.detectDelimiter(this.pending.slice(0, end));
+            text = this.pending;
+            this.pending = '';
+        }
+
+        this.parse(text);
     }
-    
+
     /**
-     * Parse a single CSV line handling quoted values
-     * @param {string} line - CSV line to parse
-     * @returns {Array} Array of values
+     * Finish the input (emits the last record and reports an unclosed quote)
      */
-    static parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-        
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-            
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
-                } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
-                }
-            } else if (char === ',' && !inQuotes) {
-                // Field separator
-                values.push(current.trim());
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
-            }
+    end() {
+        if (!this.delimiter) {
+            this.delimiter = CSVStreamParser.detectDelimiter(this.pending);
+            const text = this.pending;
+            this.pending = '';
+            this.parse(text);
+        }
+
+        if (this.state === 'quoted') {
+            this.error('error', `Aspas abertas na linha ${this.fieldLine} não foram fechadas`, this.fieldLine);
+        }
+        if (this.state !== 'start' || this.field !== '' || this.fields.length > 0) {
+            this.endRecord();
         }
-        
-        // Add the last field
-        values.push(current.trim());
-        
-        return values;
     }
-    
+
     /**
-     * Process and validate product data
-     * @param {Object} rawProduct - Raw product data from CSV
-     * @returns {Object|null} Processed product or null if invalid
+     * Run the state machine over a chunk
+     * @param {string} text - Chunk (delimiter already known)
      */
-    static processProductData(rawProduct) {
-        try {
-            // Required fields validation
-            if (!rawProduct.id || !rawProduct.titulo || !rawProduct.link_afiliado) {
-                console.warn('Product missing required fields:', rawProduct);
-                return null;
-            }
-            
-            const product = {
-                id: rawProduct.id,
-                titulo: rawProduct.titulo || '',
-                descricao: rawProduct.descricao || '',
-                preco_original: this.parseFloat(rawProduct.preco_original),
-                preco_promocional: this.parseFloat(rawProduct.preco_promocional),
-                desconto_percentual: this.parseInt(rawProduct.desconto_percentual),
-                link_afiliado: rawProduct.link_afiliado || '',
-                imagens_base64: this.parseImageArray(rawProduct.imagens_base64),
-                categoria_principal: rawProduct.categoria_principal || 'Outros',
-                nichos: this.parseStringArray(rawProduct.nichos),
-                plataforma: rawProduct.plataforma || 'Desconhecida',
-                avaliacao: this.parseFloat(rawProduct.avaliacao),
-                vendas: this.parseInt(rawProduct.vendas),
-                data_inicio_promocao: this.parseDate(rawProduct.data_inicio_promocao),
-                data_fim_promocao: this.parseDate(rawProduct.data_fim_promocao),
-                data_publicacao: this.parseDate(rawProduct.data_publicacao),
-                status: rawProduct.status || 'published'
-            };
-            
-            // Calculate discount if not provided
-            if (!product.desconto_percentual && product.preco_original > 0) {
-                product.desconto_percentual = Math.round(
-                    ((product.preco_original - product.preco_promocional) / product.preco_original) * 100
-                );
+    parse(text) {
+        const delimiter = this.delimiter;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
             }
-            
-            // Validate essential data
-            if (product.preco_promocional <= 0) {
-                console.warn('Product has invalid price:', product);
-                return null;
+            const newline = char === '\n' || char === '\r';
+            if (char === '\r') this.skipLineFeed = true;
+
+            switch (this.state) {
+                case 'quoted':
+                    if (char === '"') {
+                        this.state = 'quote';
+                    } else if (newline) {
+                        this.field += '\n';
+                        this.line++;
+                    } else {
+                        this.field += char;
+                    }
+                    break;
+
+                case 'quote':
+                    // Depois de aspas dentro de um campo entre aspas: "" é aspas escapadas; senão o campo fechou
+                    if (char === '"') {
+                        this.field += '"';
+                        this.state = 'quoted';
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (newline) {
+                        this.endRecord();
+                    } else {
+                        this.error('warning', 'Texto depois das aspas de fechamento');
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+
+                case 'start':
+                    this.fieldLine = this.line;
+                    if (char === '"') {
+                        this.state = 'quoted';
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (newline) {
+                        this.endRecord();
+                    } else {
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+
+                default: // 'unquoted'
+                    if (char === delimiter) {
+                        this.endField();
+                    } else if (newline) {
+                        this.endRecord();
+                    } else {
+                        if (char === '"') this.error('warning', 'Aspas no meio de um campo sem aspas');
+                        this.field += char;
+                    }
             }
-            
-            return product;
-        } catch (error) {
-            console.error('Error processing product data:', error, rawProduct);
-            return null;
         }
     }
+
+    /**
+     * Close the current field
+     */
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.state = 'start';
+    }
+
+    /**
+     * Close the current record and emit it
+     */
+    endRecord() {
+        this.endField();
+        const fields = this.fields;
+        this.fields = [];
+        this.onRecord(fields, { row: this.row, line: this.recordLine });
+
+        this.row++;
+        this.line++;
+        this.recordLine = this.line;
+    }
+
+    /**
+     * Report a problem at the current field
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} message - Description
+     * @param {number} line - Physical line (defaults to the current one)
+     */
+    error(severity, message, line = this.line) {
+        this.onError({ row: this.row, column: this.fields.length + 1, line, severity, message });
+    }
+}
+
+class CSVParser {
+    /**
+     * Load products from a CSV file
+     * @param {string} url - CSV file or published spreadsheet URL
+     * @returns {Promise<Array>} Array of normalized products
+     */
+    static async loadProducts(url) {
+        if (typeof Logger !== 'undefined') Logger.info('CSVParser.loadProducts iniciado', { url });
+        const response = await fetch(url);
+        if (!response.ok) {
+            if (typeof Logger !== 'undefined') Logger.warn('CSV fetch retornou não ok', { status: response.status });
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const csvText = await response.text();
+        if (typeof Logger !== 'undefined') Logger.info('CSV carregado, iniciando parse', { length: csvText.length });
+        return this.parseCSV(csvText);
+    }
     
     /**
-     * Parse float value with fallback
-     * @param {string} value - String value to parse
-     * @returns {number} Parsed float or 0
+     * Parse CSV text into array of products
+     * @param {string} csvText - Raw CSV text
+     * @returns {Array} Array of normalized products
      */
-    static parseFloat(value) {
-        const parsed = parseFloat(value);
-        return isNaN(parsed) ? 0 : parsed;
+    static parseCSV(csvText) {
+        const products = this.parseRows(csvText)
+            .map(row => this.processProductData(row))
+            .filter(Boolean);
+        
+        console.log(`Loaded ${products.length} products from CSV`);
+        return products;
     }
     
     /**
-     * Parse integer value with fallback
-     * @param {string} value - String value to parse
-     * @returns {number} Parsed integer or 0
+     * Parse CSV text into raw rows (header -> cell text), without normalization
+     * @param {string} csvText - Raw CSV text
+     * @param {Object} options - { delimiter, onError } (see CSVStreamParser; problems are logged by default)
+     * @returns {Array<Object>} Raw rows
      */
-    static parseInt(value) {
-        const parsed = parseInt(value);
-        return isNaN(parsed) ? 0 : parsed;
+    static parseRows(csvText, options = {}) {
+        const reader = this.createRowReader(options);
+        reader.parser.push(csvText);
+        reader.parser.end();
+        return reader.rows;
     }
     
     /**
-     * Parse date string
-     * @param {string} dateString - Date string to parse
-     * @returns {Date|null} Parsed date or null
+     * Parse a CSV response as it downloads
+     * @param {Response} response - Fetch response
+     * @param {Object} options - { delimiter, onError } (see parseRows)
+     * @returns {Promise<Array<Object>>} Raw rows
      */
-    static parseDate(dateString) {
-        if (!dateString) return null;
-        const date = new Date(dateString);
-        return isNaN(date.getTime()) ? null : date;
+    static async parseResponse(response, options = {}) {
+        if (!response.body || typeof TextDecoder === 'undefined') {
+            return this.parseRows(await response.text(), options);
+        }
+        
+        const reader = this.createRowReader(options);
+        const stream = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        for (;;) {
+            const { done, value } = await stream.read();
+            if (done) break;
+            reader.parser.push(decoder.decode(value, { stream: true }));
+        }
+        reader.parser.push(decoder.decode());
+        reader.parser.end();
+        return reader.rows;
     }
     
     /**
-     * Parse comma-separated string into array
-     * @param {string} str - String to parse
-     * @returns {Array} Array of strings
+     * Create a parser that turns records into rows keyed by the header
+     * (blank lines are skipped; records with a different field count are reported and skipped)
+     * @param {Object} options - { delimiter, onError }
+     * @returns {Object} { parser: CSVStreamParser, rows, headers: () => Array<string>|null }
      */
-    static parseStringArray(str) {
-        if (!str) return [];
-        return str.split(',').map(item => item.trim()).filter(item => item.length > 0);
+    static createRowReader({ delimiter = null, onError = (problem) => this.logProblem(problem) } = {}) {
+        const rows = [];
+        let headers = null;
+        
+        const parser = new CSVStreamParser({
+            delimiter,
+            onError,
+            onRecord: (fields, { row, line }) => {
+                if (fields.length === 1 && fields[0].trim() === '') return;
+                
+                if (!headers) {
+                    headers = fields.map(header => header.trim());
+                    return;
+                }
+                
+                if (fields.length !== headers.length) {
+                    onError({
+                        row,
+                        column: Math.min(fields.length, headers.length) + 1,
+                        line,
+                        severity: 'warning',
+                        message: `${fields.length} coluna(s), esperadas ${headers.length}; linha ignorada`
+                    });
+                    return;
+                }
+                
+                const record = {};
+                headers.forEach((header, index) => {
+                    record[header] = fields[index].trim();
+                });
+                rows.push(record);
+            }
+        });
+        
+        return { parser, rows, headers: () => headers };
     }
     
     /**
-     * Parse pipe-separated base64 images
-     * @param {string} str - String containing base64 images
-     * @returns {Array} Array of base64 image strings
+     * Default problem handler: log it
+     * @param {Object} problem - { row, column, line, severity, message }
      */
-    static parseImageArray(str) {
-        if (!str) return [];
-        return str.split('|').map(img => img.trim()).filter(img => img.length > 0);
+    static logProblem(problem) {
+        console.warn(`CSV linha ${problem.row}, coluna ${problem.column}: ${problem.message}`);
+        if (typeof Logger !== 'undefined') Logger.warn('Problema no CSV', problem);
+    }
+    
+    /**
+     * Normalize a raw CSV row (normalization and validation are shared with the other sources)
+     * @param {Object} rawProduct - Raw product data from CSV
+     * @returns {Object|null} Normalized product, or null if it has schema errors (see ProductSchema)
+     */
+    static processProductData(rawProduct) {
+        const product = ProductNormalizer.normalize(rawProduct);
+        if (!ProductSchema.isValid(product)) {
+            console.warn('Product with invalid data:', product.id, product.problemas);
+            return null;
+        }
+        return product;
     }
     
     /**
@@ -340,52 +479,46 @@ class CSVParser {
     /**
      * Validate CSV structure
      * @param {string} csvText - CSV text to validate
-     * @returns {Object} Validation result
+     * @returns {Object} Validation result; errors and warnings are { row, column, line, severity, message }
+     *                   (row = record number, header = 1; line = physical line where the record starts)
      */
     static validateCSV(csvText) {
-        const lines = csvText.split('\n');
         const result = {
             isValid: true,
             errors: [],
             warnings: [],
-            lineCount: lines.length,
-            productCount: 0
+            lineCount: 0,
+            productCount: 0,
+            delimiter: null
         };
         
-        if (lines.length < 2) {
-            result.isValid = false;
-            result.errors.push('CSV file must have at least a header and one data row');
-            return result;
-        }
+        const reader = this.createRowReader({
+            onError: (problem) => (problem.severity === 'error' ? result.errors : result.warnings).push(problem)
+        });
+        reader.parser.push(csvText);
+        reader.parser.end();
         
-        const headers = this.parseCSVLine(lines[0]);
-        const requiredHeaders = ['id', 'titulo', 'link_afiliado', 'preco_promocional'];
+        const headers = reader.headers();
+        result.lineCount = csvText ? csvText.replace(/(\r\n|\r|\n)$/, '').split(/\r\n|\r|\n/).length : 0;
+        result.productCount = reader.rows.length;
+        result.delimiter = reader.parser.delimiter;
         
-        // Check required headers
-        for (const required of requiredHeaders) {
-            if (!headers.includes(required)) {
-                result.isValid = false;
-                result.errors.push(`Missing required header: ${required}`);
-            }
+        if (!headers || reader.rows.length === 0) {
+            result.errors.push({ row: 1, column: null, line: 1, severity: 'error', message: 'CSV file must have at least a header and one data row' });
         }
         
-        // Validate data rows
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = this.parseCSVLine(line);
-            if (values.length !== headers.length) {
-                result.warnings.push(`Line ${i + 1}: Expected ${headers.length} columns, got ${values.length}`);
-            } else {
-                result.productCount++;
-            }
-        }
+        // Check required headers
+        const requiredHeaders = ['id', 'titulo', 'link_afiliado', 'preco_promocional'];
+        (headers ? requiredHeaders.filter(required => !headers.includes(required)) : []).forEach(required => {
+            result.errors.push({ row: 1, column: null, line: 1, severity: 'error', message: `Missing required header: ${required}` });
+        });
         
+        result.isValid = result.errors.length === 0;
         return result;
     }
 }
 
-// Export for compatibility (não utilizado)
+// Export for use in other modules
+window.CSVStreamParser = CSVStreamParser;
 window.CSVParser = CSVParser;
 
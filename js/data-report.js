@@ -0,0 +1,246 @@
+// Data report (?debug=dados): why each loaded row is hidden or flagged — schema problems,
+// promotion status and grouping — plus what each data source returned
+
+class DataReport {
+    /**
+     * URL parameter value that shows the report (?debug=dados)
+     * @returns {string} Value of the "debug" parameter
+     */
+    static get DEBUG_VALUE() {
+        return 'dados';
+    }
+
+    /**
+     * Rows shown in the page table (the downloaded CSV has all of them)
+     * @returns {number} Rows
+     */
+    static get MAX_ROWS() {
+        return 500;
+    }
+
+    /**
+     * Check whether the report was requested in the URL
+     * @returns {boolean} True with ?debug=dados
+     */
+    static isEnabled() {
+        return new URLSearchParams(window.location.search).get('debug') === this.DEBUG_VALUE;
+    }
+
+    /**
+     * Build the report
+     * @param {Object} data - { products: every loaded product (valid or not), results: DataSources results }
+     * @param {Date} now - Reference date
+     * @returns {Object} { summary, sources, entries } where entries are the hidden or flagged
+     *                   products: { product, status, reasons: [{ severity, field, message }] }
+     */
+    static build({ products, results = [] }, now = new Date()) {
+        const summary = { total: products.length, shown: 0, invalid: 0, warnings: 0, draft: 0, scheduled: 0, expired: 0, grouped: 0 };
+        const entries = [];
+
+        products.forEach(product => {
+            const problems = product.problemas || [];
+            const reasons = problems.slice().sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+            let status;
+
+            if (!ProductSchema.isValid(product)) {
+                status = 'invalid';
+            } else {
+                status = PromotionLifecycle.getState(product, now);
+                if (status === 'draft') {
+                    reasons.unshift({ severity: 'info', field: 'status', message: `status "${product.status}" não é publicado` });
+                } else if (status === 'scheduled') {
+                    reasons.unshift({ severity: 'info', field: 'data_inicio_promocao', message: `começa em ${Utils.formatDate(product.data_inicio_promocao)}` });
+                } else if (status === 'expired') {
+                    reasons.unshift({ severity: 'info', field: 'data_fim_promocao', message: `encerrou em ${Utils.formatDate(product.data_fim_promocao)}` });
+                } else {
+                    // No ar, mas pode estar agrupada com uma oferta mais barata de outra loja
+                    const [best] = ProductGrouping.getOffers(product);
+                    if (best !== product) {
+                        status = 'grouped';
+                        reasons.unshift({ severity: 'info', field: 'id', message: `agrupado com o produto ${best.id} (${best.plataforma}), mais barato` });
+                    } else {
+                        status = 'shown';
+                    }
+                }
+            }
+
+            summary[status]++;
+            if (status === 'shown' && problems.length) summary.warnings++;
+            if (status !== 'shown' || problems.length) entries.push({ product, status, reasons });
+        });
+
+        // Erros primeiro, depois ocultos, depois exibidos com avisos
+        const order = ['invalid', 'draft', 'scheduled', 'expired', 'grouped', 'shown'];
+        entries.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+        return { summary, sources: results, entries };
+    }
+
+    /**
+     * Label of an entry status
+     * @param {string} status - Entry status
+     * @returns {string} Label
+     */
+    static getStatusLabel(status) {
+        return {
+            invalid: 'Oculto: dados inválidos',
+            draft: 'Oculto: rascunho',
+            scheduled: 'Oculto: agendado',
+            expired: 'Oculto: encerrado',
+            grouped: 'Agrupado',
+            shown: 'Exibido com avisos'
+        }[status] || status;
+    }
+
+    /**
+     * Render the report section
+     * @param {Object} report - Report from build()
+     * @returns {string} HTML string for the report
+     */
+    static render(report) {
+        const { summary, sources, entries } = report;
+        const shown = entries.slice(0, this.MAX_ROWS);
+        const severityClass = { error: 'text-red-700', warning: 'text-yellow-700', info: 'text-gray-600' };
+
+        return `
+            <section id="data-report" class="data-report py-8" aria-labelledby="data-report-title">
+                <div class="container mx-auto px-4">
+                    <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+                        <h2 id="data-report-title" class="text-2xl font-bold text-gray-800">Relatório de dados</h2>
+                        <div class="flex gap-2">
+                            <button type="button" class="btn-secondary px-4 py-2" onclick="DataReport.download()">
+                                <i data-lucide="download" class="w-4 h-4 inline mr-1"></i>
+                                Baixar CSV
+                            </button>
+                            <button type="button" class="btn-secondary px-4 py-2" onclick="DataReport.close()" aria-label="Fechar relatório">
+                                <i data-lucide="x" class="w-4 h-4"></i>
+                            </button>
+                        </div>
+                    </div>
+
+                    <p class="text-gray-700 mb-2">
+                        ${Utils.formatNumber(summary.total)} linhas carregadas: ${Utils.formatNumber(summary.shown)} exibidas
+                        (${Utils.formatNumber(summary.warnings)} com avisos),
+                        ${Utils.formatNumber(summary.invalid)} com erros,
+                        ${Utils.formatNumber(summary.draft)} rascunhos,
+                        ${Utils.formatNumber(summary.scheduled)} agendadas,
+                        ${Utils.formatNumber(summary.expired)} encerradas e
+                        ${Utils.formatNumber(summary.grouped)} agrupadas com outra loja.
+                    </p>
+
+                    <ul class="text-sm text-gray-600 mb-4">
+                        ${sources.map(({ source, count, error, problems }) => `
+                            <li>
+                                <strong>${Utils.sanitizeHtml(source.id)}</strong> (${source.type}):
+                                ${error ? `não carregada — ${Utils.sanitizeHtml(error.message)}` : `${Utils.formatNumber(count)} linhas`}
+                                ${problems && problems.length ? `
+                                    <ul class="data-report-problems">
+                                        ${problems.map(problem => `
+                                            <li class="${severityClass[problem.severity] || ''}">Linha ${problem.row}, coluna ${problem.column || '-'}: ${Utils.sanitizeHtml(problem.message)}</li>
+                                        `).join('')}
+                                    </ul>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+
+                    ${entries.length ? `
+                        <div class="data-report-table-wrapper">
+                            <table class="data-report-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col">ID</th>
+                                        <th scope="col">Título</th>
+                                        <th scope="col">Fonte</th>
+                                        <th scope="col">Situação</th>
+                                        <th scope="col">Motivos</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${shown.map(({ product, status, reasons }) => `
+                                        <tr class="data-report-${status}">
+                                            <td>${Utils.sanitizeHtml(product.id || '(sem id)')}</td>
+                                            <td>${Utils.sanitizeHtml(product.titulo || '(sem título)')}</td>
+                                            <td>${Utils.sanitizeHtml(product.fonte || '')}</td>
+                                            <td>${this.getStatusLabel(status)}</td>
+                                            <td>
+                                                <ul>
+                                                    ${reasons.map(reason => `
+                                                        <li class="${severityClass[reason.severity] || ''}">
+                                                            <code>${reason.field}</code>: ${Utils.sanitizeHtml(reason.message)}
+                                                        </li>
+                                                    `).join('')}
+                                                </ul>
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                        ${entries.length > shown.length ? `
+                            <p class="text-sm text-gray-600 mt-2">Mostrando ${Utils.formatNumber(shown.length)} de ${Utils.formatNumber(entries.length)} linhas; baixe o CSV para ver todas.</p>
+                        ` : ''}
+                    ` : '<p class="text-green-700">Nenhum produto oculto ou com problemas.</p>'}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Build and show the report at the top of the page (replacing a previous one)
+     * @param {Object} data - { products, results } (see build())
+     */
+    static show(data) {
+        this.report = this.build(data);
+        this.close();
+
+        const anchor = document.getElementById('home');
+        const container = document.createElement('div');
+        container.innerHTML = this.render(this.report);
+        if (anchor) anchor.before(container.firstElementChild);
+        else document.body.prepend(container.firstElementChild);
+
+        if (typeof lucide !== 'undefined') lucide.createIcons();
+        console.info('Relatório de dados:', this.report.summary);
+        if (typeof Logger !== 'undefined') Logger.info('Relatório de dados gerado', this.report.summary);
+    }
+
+    /**
+     * Remove the report section
+     */
+    static close() {
+        const section = document.getElementById('data-report');
+        if (section) section.remove();
+    }
+
+    /**
+     * Download the full report as CSV (';' separated, opens in Brazilian Excel)
+     */
+    static download() {
+        if (!this.report) return;
+
+        const quote = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        const lines = [['id', 'titulo', 'fonte', 'situacao', 'campo', 'gravidade', 'motivo'].join(';')];
+        this.report.entries.forEach(({ product, status, reasons }) => {
+            reasons.forEach(reason => {
+                lines.push([product.id, product.titulo, product.fonte, this.getStatusLabel(status), reason.field, reason.severity, reason.message].map(quote).join(';'));
+            });
+        });
+
+        const blob = new Blob([`\uFEFF${lines.join('\r\n')}`], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `relatorio-dados_${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Last report built (used by the download button)
+DataReport.report = null;
+
+// Export for use in other modules
+window.DataReport = DataReport;
@@ -0,0 +1,229 @@
+// Product data sources (SQLite, CSV, JSON): loading in priority/fallback order and merging by id
+
+class DataSources {
+    /**
+     * Configured sources, highest priority first.
+     * - type: 'sqlite', 'csv' or 'json' (see DataSources.loaders)
+     * - url: file or published spreadsheet (relative to the site root)
+     * - fallback: only loaded when no source before it returned products
+     * - delimiter: CSV only, detected from the header when omitted
+     * When the same id comes from several sources, the first source wins field by field;
+     * fields it leaves empty are filled from the next ones (see merge()).
+     * @returns {Array<Object>} [{ id, type, url, fallback }]
+     */
+    static get SOURCES() {
+        return [
+            // Planilha dos editores (ex.: Google Sheets publicado como CSV) para corrigir e complementar o banco.
+            // Desativada por padrão: descomente com a URL da planilha publicada (ou um data/*.csv) para usá-la.
+            // { id: 'planilha', type: 'csv', url: 'https://docs.google.com/spreadsheets/d/e/.../pub?output=csv' },
+            { id: 'banco', type: 'sqlite', url: 'data/produtos.db' },
+            { id: 'json', type: 'json', url: 'data/produtos.json', fallback: true }
+        ];
+    }
+
+    /**
+     * Register the loader of a source type
+     * @param {string} type - Source type
+     * @param {Function} loader - (source, context) => Promise<{ rows, normalized, ...extra }>;
+     *                            normalized tells whether rows already went through ProductNormalizer
+     */
+    static register(type, loader) {
+        this.loaders[type] = loader;
+    }
+
+    /**
+     * Load the configured sources and merge their products
+     * @param {Object} context - { baseUrl, onProgress, getProductsLoader: () => ProductsLoader }
+     * @param {Array<Object>} sources - Sources, highest priority first
+     * @returns {Promise<Object>} { products, results, sqlite } where results lists every source tried
+     *                            ({ source, count, error, problems }) and sqlite is the SQLite result (history, table...) or null
+     */
+    static async load(context, sources = this.SOURCES) {
+        const loaded = [];
+
+        for (const stage of this.getStages(sources)) {
+            if (loaded.some(result => result.rows.length)) break;
+            loaded.push(...await Promise.all(stage.map(source => this.loadSource(source, context))));
+        }
+
+        const withRows = loaded.filter(result => result.rows.length);
+        if (withRows.length === 0) {
+            const failed = loaded.filter(result => result.error);
+            const error = new Error(`Nenhuma fonte de dados retornou produtos (${failed.map(result => `${result.source.id}: ${result.error.message}`).join('; ')})`);
+            // Nenhum arquivo existe: mesma mensagem de "arquivo não encontrado" de antes
+            if (failed.length && failed.every(result => result.error.code === 'not-found')) error.code = 'not-found';
+            throw error;
+        }
+
+        const sqlite = loaded.find(result => result.source.type === 'sqlite' && result.rows.length) || null;
+        return {
+            products: this.merge(withRows),
+            results: loaded.map(({ source, rows, error, problems }) => ({ source, count: rows.length, error: error || null, problems: problems || [] })),
+            sqlite
+        };
+    }
+
+    /**
+     * Split the sources in stages: a fallback source starts a new stage, tried only
+     * when the stages before it returned no products
+     * @param {Array<Object>} sources - Sources, highest priority first
+     * @returns {Array<Array<Object>>} Stages (sources of a stage load in parallel)
+     */
+    static getStages(sources) {
+        const stages = [];
+        sources.forEach(source => {
+            if (stages.length === 0 || source.fallback) stages.push([]);
+            stages[stages.length - 1].push(source);
+        });
+        return stages;
+    }
+
+    /**
+     * Load one source; failures are reported in the result instead of thrown
+     * @param {Object} source - Source configuration
+     * @param {Object} context - Load context (see load())
+     * @returns {Promise<Object>} { source, rows, normalized, error, ...extra }
+     */
+    static async loadSource(source, context) {
+        const loader = this.loaders[source.type];
+        try {
+            if (!loader) throw new Error(`Tipo de fonte desconhecido: ${source.type}`);
+            const result = await loader(source, context);
+            if (typeof Logger !== 'undefined') Logger.info('Fonte de dados carregada', { id: source.id, type: source.type, rows: result.rows.length });
+            return { ...result, source, error: null };
+        } catch (error) {
+            if (typeof Logger !== 'undefined') Logger.warn('Fonte de dados ignorada', { id: source.id, url: source.url, error: String(error) });
+            console.warn(`Fonte de dados "${source.id}" ignorada:`, error.message);
+            return { source, rows: [], normalized: true, error };
+        }
+    }
+
+    /**
+     * Fetch a source file
+     * @param {Object} source - Source configuration
+     * @param {Object} context - Load context (see load())
+     * @returns {Promise<Response>} Successful response (rejects with error.code 'not-found' on 404)
+     */
+    static async fetch(source, context) {
+        const url = new URL(source.url, context.baseUrl).href;
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            const error = new Error(`${url}: status ${response.status}`);
+            if (response.status === 404) error.code = 'not-found';
+            throw error;
+        }
+        return response;
+    }
+
+    /**
+     * Merge the rows of several sources by id. Sources come highest priority first:
+     * for each field, the first source with a non-empty value wins (empty = null, '' or []);
+     * the discount always comes with the price (or is recalculated from it).
+     * Products keep the order of their first appearance and get `fonte` (id of the winning source).
+     * @param {Array<Object>} results - Source results ({ source, rows, normalized }), highest priority first
+     * @returns {Array} Normalized products
+     */
+    static merge(results) {
+        const entries = new Map(); // id -> [{ row, source, normalized }], highest priority first
+        const products = [];
+
+        results.forEach(({ source, rows, normalized }) => {
+            rows.forEach(row => {
+                const id = row.id === null || row.id === undefined ? '' : String(row.id).trim();
+                const entry = { row, source, normalized };
+                // Sem id não há como juntar: entra como está
+                if (!id) {
+                    products.push(entry);
+                    return;
+                }
+                if (!entries.has(id)) {
+                    entries.set(id, [entry]);
+                    products.push(id);
+                } else {
+                    entries.get(id).push(entry);
+                }
+            });
+        });
+
+        const merged = products.map(item => {
+            const group = typeof item === 'string' ? entries.get(item) : [item];
+            const [first] = group;
+
+            // Uma fonte só, já normalizada (SQLite): nada a fazer
+            if (group.length === 1 && first.normalized) {
+                first.row.fonte = first.source.id;
+                return first.row;
+            }
+
+            const raw = {};
+            const origin = {}; // field -> source that provided it
+            group.slice().reverse().forEach(({ row, source }) => {
+                Object.entries(row).forEach(([field, value]) => {
+                    if (this.isEmpty(value)) return;
+                    raw[field] = value;
+                    origin[field] = source;
+                });
+            });
+            // Desconto de outra fonte que não a do preço ficaria desatualizado: é recalculado
+            if (origin.desconto_percentual !== origin.preco_promocional) delete raw.desconto_percentual;
+            const product = ProductNormalizer.normalize(raw);
+            product.fonte = first.source.id;
+            return product;
+        });
+
+        const duplicates = Array.from(entries.values()).filter(group => group.length > 1).length;
+        if (duplicates && typeof Logger !== 'undefined') Logger.info('Produtos combinados de várias fontes', { products: duplicates });
+
+        return merged;
+    }
+
+    /**
+     * Check whether a field value is empty (and may be filled by a lower-priority source)
+     * @param {*} value - Field value
+     * @returns {boolean} True if empty
+     */
+    static isEmpty(value) {
+        if (value === null || value === undefined) return true;
+        if (Array.isArray(value)) return value.length === 0;
+        return typeof value === 'string' && value.trim() === '';
+    }
+}
+
+// Source type -> loader (see register())
+DataSources.loaders = {
+    // SQLite: lido e normalizado no worker (js/products-worker.js), com progresso
+    sqlite: async (source, context) => {
+        const productsLoader = context.getProductsLoader();
+        const result = await productsLoader.load(
+            [new URL(source.url, context.baseUrl).href],
+            { onProgress: context.onProgress }
+        );
+        return { ...result, rows: result.products, normalized: true };
+    },
+
+    // CSV (arquivo ou planilha publicada): cabeçalho com os nomes das colunas; separador ',', ';' ou tab
+    csv: async (source, context) => {
+        const response = await DataSources.fetch(source, context);
+        const problems = []; // linha/coluna de cada problema de leitura, para o relatório de dados
+        const rows = await CSVParser.parseResponse(response, {
+            delimiter: source.delimiter || null,
+            onError: (problem) => {
+                problems.push(problem);
+                CSVParser.logProblem(problem);
+            }
+        });
+        return { rows, problems, normalized: false };
+    },
+
+    // JSON: lista de produtos ou { produtos: [...] }
+    json: async (source, context) => {
+        const response = await DataSources.fetch(source, context);
+        const data = await response.json();
+        const rows = Array.isArray(data) ? data : (data.produtos || data.products);
+        if (!Array.isArray(rows)) throw new Error('JSON sem lista de produtos');
+        return { rows, normalized: false };
+    }
+};
+
+// Export for use in other modules
+window.DataSources = DataSources;
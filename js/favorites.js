@@ -0,0 +1,184 @@
+// Favorites (wishlist) persisted in localStorage, keyed by product id
+
+class FavoritesStore {
+    /**
+     * localStorage key
+     * @returns {string} Storage key
+     */
+    static get STORAGE_KEY() {
+        return 'favoritos';
+    }
+
+    /**
+     * Read all favorites
+     * @returns {Object} Product ID -> snapshot { titulo, preco_promocional, data_fim_promocao, adicionadoEm, encerradaNotificada }
+     */
+    static getAll() {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const data = raw ? JSON.parse(raw) : {};
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Persist all favorites
+     * @param {Object} favorites - Product ID -> snapshot
+     */
+    static saveAll(favorites) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(favorites));
+        } catch (e) {
+            if (typeof Logger !== 'undefined') Logger.warn('Não foi possível salvar favoritos', { error: String(e) });
+        }
+    }
+
+    /**
+     * Snapshot of the fields watched for changes between visits
+     * @param {Object} product - Product data
+     * @returns {Object} Snapshot
+     */
+    static snapshot(product) {
+        const end = product.data_fim_promocao;
+        return {
+            titulo: product.titulo,
+            preco_promocional: product.preco_promocional || 0,
+            data_fim_promocao: end instanceof Date && !isNaN(end.getTime()) ? end.toISOString() : null
+        };
+    }
+
+    /**
+     * Check whether a product is a favorite
+     * @param {string} id - Product ID
+     * @returns {boolean} True if favorite
+     */
+    static has(id) {
+        return Object.prototype.hasOwnProperty.call(this.getAll(), String(id));
+    }
+
+    /**
+     * Number of favorites
+     * @returns {number} Count
+     */
+    static count() {
+        return Object.keys(this.getAll()).length;
+    }
+
+    /**
+     * IDs of all favorites, most recently added first
+     * @returns {Array<string>} Product IDs
+     */
+    static ids() {
+        const favorites = this.getAll();
+        return Object.keys(favorites).sort((a, b) =>
+            String(favorites[b].adicionadoEm || '').localeCompare(String(favorites[a].adicionadoEm || ''))
+        );
+    }
+
+    /**
+     * Add or remove a favorite
+     * Dispatches 'favorites:change' on document
+     * @param {Object} product - Product data
+     * @returns {boolean} True if the product is now a favorite
+     */
+    static toggle(product) {
+        const favorites = this.getAll();
+        const id = String(product.id);
+        const favorite = !favorites[id];
+
+        if (favorite) {
+            favorites[id] = { ...this.snapshot(product), adicionadoEm: new Date().toISOString() };
+        } else {
+            delete favorites[id];
+        }
+        this.saveAll(favorites);
+
+        this.updateToggles();
+        document.dispatchEvent(new CustomEvent('favorites:change', { detail: { id, favorite } }));
+        if (typeof Logger !== 'undefined') Logger.info('Favorito alterado', { id, favorite });
+        return favorite;
+    }
+
+    /**
+     * Compare saved favorites with freshly loaded products and update the snapshots.
+     * Each change is reported once: a price change, or the promotion end date having passed.
+     * @param {Array} products - All loaded products (live and expired)
+     * @param {Date} now - Reference date
+     * @returns {Array} [{ type: 'price'|'ended', product, previousPrice }]
+     */
+    static checkChanges(products, now = new Date()) {
+        const favorites = this.getAll();
+        const byId = new Map(products.map(product => [String(product.id), product]));
+        const changes = [];
+
+        Object.entries(favorites).forEach(([id, saved]) => {
+            const product = byId.get(id);
+            if (!product) return; // fora do catálogo nesta carga; nada a comparar
+
+            const end = product.data_fim_promocao;
+            const ended = end instanceof Date && end.getTime() <= now.getTime();
+            const price = product.preco_promocional || 0;
+
+            if (ended) {
+                if (!saved.encerradaNotificada) {
+                    changes.push({ type: 'ended', product });
+                    saved.encerradaNotificada = true;
+                }
+            } else {
+                // Promoção prorrogada volta a ser acompanhada
+                saved.encerradaNotificada = false;
+                if (price > 0 && saved.preco_promocional > 0 && Math.abs(price - saved.preco_promocional) >= 0.01) {
+                    changes.push({ type: 'price', product, previousPrice: saved.preco_promocional });
+                }
+            }
+
+            Object.assign(saved, this.snapshot(product));
+        });
+
+        this.saveAll(favorites);
+        return changes;
+    }
+
+    /**
+     * Render the heart toggle button
+     * @param {Object} product - Product data
+     * @param {Object} options - { variant: 'card' | 'modal' }
+     * @returns {string} HTML string for the button
+     */
+    static renderToggle(product, { variant = 'card' } = {}) {
+        const favorite = this.has(product.id);
+        return `
+            <button
+                type="button"
+                class="favorite-toggle favorite-toggle-${variant}"
+                data-favorite-id="${product.id}"
+                aria-pressed="${favorite}"
+                aria-label="${favorite ? 'Remover dos favoritos' : 'Adicionar aos favoritos'}"
+                title="${favorite ? 'Remover dos favoritos' : 'Adicionar aos favoritos'}"
+            >
+                <i data-lucide="heart" class="w-5 h-5"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Sync every heart button in the page with the stored favorites
+     * (also used after adopting pre-rendered markup)
+     * @param {HTMLElement|Document} root - Where to look for buttons
+     */
+    static updateToggles(root = document) {
+        const favorites = this.getAll();
+        root.querySelectorAll('[data-favorite-id]').forEach(button => {
+            const favorite = Object.prototype.hasOwnProperty.call(favorites, button.dataset.favoriteId);
+            const label = favorite ? 'Remover dos favoritos' : 'Adicionar aos favoritos';
+            button.setAttribute('aria-pressed', String(favorite));
+            button.setAttribute('aria-label', label);
+            button.title = label;
+        });
+    }
+}
+
+// Export for use in other modules
+window.FavoritesStore = FavoritesStore;
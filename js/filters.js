@@ -4,18 +4,147 @@ class FiltersManager {
     constructor() {
         this.allProducts = [];
         this.filteredProducts = [];
-        this.currentFilters = {
-            search: '',
-            platform: '',
-            category: '',
-            sort: 'discount'
-        };
+        this.currentFilters = FiltersManager.DEFAULT_FILTERS;
         this.currentPage = 1;
-        this.itemsPerPage = 12;
+        const preferences = FiltersManager.loadListingPreferences();
+        this.itemsPerPage = preferences.pageSize;
+        this.infiniteScroll = preferences.infiniteScroll;
+        this.hasMoreProducts = false;
+        this.loadMoreObserver = null;
+        this.listingRestored = false;
+        this.sqlQuery = null;
+        this.sqlRequest = 0;
+        this.searchIndex = new SearchIndex();
+        this.searchScores = null;
+        this.sortChosenByUser = false;
+        this.filterChips = [];
         
         this.initializeEventListeners();
     }
     
+    /**
+     * Filter values with nothing selected (also the list of known filter keys / URL params)
+     * @returns {Object} Fresh default filters
+     */
+    static get DEFAULT_FILTERS() {
+        return {
+            search: '',
+            platform: [],
+            category: [],
+            sort: 'discount',
+            priceMin: null,
+            priceMax: null,
+            minDiscount: null,
+            minRating: null,
+            minSales: null,
+            niches: [],
+            favorites: false
+        };
+    }
+    
+    /**
+     * Filters holding a number (null when unset)
+     * @returns {Array<string>} Filter keys
+     */
+    static get NUMERIC_FILTERS() {
+        return ['priceMin', 'priceMax', 'minDiscount', 'minRating', 'minSales'];
+    }
+    
+    /**
+     * Filters holding a list of values (comma-separated in the URL)
+     * @returns {Array<string>} Filter keys
+     */
+    static get ARRAY_FILTERS() {
+        return ['platform', 'category', 'niches'];
+    }
+    
+    /**
+     * On/off filters ('1' in the URL when on)
+     * @returns {Array<string>} Filter keys
+     */
+    static get BOOLEAN_FILTERS() {
+        return ['favorites'];
+    }
+    
+    /**
+     * Faceted filters (checkbox multi-selects with live counts) and the product field each one reads
+     * @returns {Object} Filter key -> product field
+     */
+    static get FACETS() {
+        return {
+            platform: 'plataforma',
+            category: 'categoria_principal',
+            niches: 'nichos'
+        };
+    }
+    
+    /**
+     * Catalog size from which filtering and search run as SQL in the products worker
+     * @returns {number} Products
+     */
+    static get SQL_FILTER_FROM() {
+        return 5000;
+    }
+    
+    /**
+     * Page sizes offered for the all-products grid
+     * @returns {Array<number>} Products per page
+     */
+    static get PAGE_SIZES() {
+        return [12, 24, 48];
+    }
+    
+    /**
+     * localStorage key of the grid preferences ({ pageSize, infiniteScroll })
+     * @returns {string} Storage key
+     */
+    static get PREFERENCES_KEY() {
+        return 'listagem-preferencias';
+    }
+    
+    /**
+     * sessionStorage key of the last grid position ({ filters, page, scrollY }),
+     * also kept in history.state.listagem of the listing entry
+     * @returns {string} Storage key
+     */
+    static get LISTING_STATE_KEY() {
+        return 'listagem-estado';
+    }
+    
+    /**
+     * Read the saved grid preferences
+     * @returns {Object} { pageSize, infiniteScroll }
+     */
+    static loadListingPreferences() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.PREFERENCES_KEY)) || {};
+        } catch (e) {
+            saved = {};
+        }
+        return {
+            pageSize: this.PAGE_SIZES.includes(saved.pageSize) ? saved.pageSize : this.PAGE_SIZES[0],
+            infiniteScroll: saved.infiniteScroll === true
+        };
+    }
+    
+    /**
+     * Form control ID of each single-value filter
+     * @returns {Object} Filter key -> element ID
+     */
+    static get CONTROL_IDS() {
+        return {
+            search: 'search-input',
+            sort: 'sort-filter',
+            priceMin: 'price-min-filter',
+            priceMax: 'price-max-filter',
+            minDiscount: 'discount-filter',
+            minRating: 'rating-filter',
+            minSales: 'sales-filter',
+            favorites: 'favorites-filter'
+        };
+    }
+    
     /**
      * Initialize event listeners for filter controls
      */
@@ -23,33 +152,51 @@ class FiltersManager {
         // Search input with debouncing
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
-            searchInput.addEventListener('input', Utils.debounce((e) => {
-                this.updateFilter('search', e.target.value);
-            }, 300));
+            this.debouncedSearch = Utils.debounce((value) => this.updateFilter('search', value), 300);
+            searchInput.addEventListener('input', (e) => this.debouncedSearch(e.target.value));
         }
         
-        // Platform filter
-        const platformFilter = document.getElementById('platform-filter');
-        if (platformFilter) {
-            platformFilter.addEventListener('change', (e) => {
-                this.updateFilter('platform', e.target.value);
+        // Sort filter
+        const sortFilter = document.getElementById('sort-filter');
+        if (sortFilter) {
+            sortFilter.addEventListener('change', (e) => {
+                this.sortChosenByUser = true;
+                this.updateFilter('sort', e.target.value);
             });
         }
         
-        // Category filter
-        const categoryFilter = document.getElementById('category-filter');
-        if (categoryFilter) {
-            categoryFilter.addEventListener('change', (e) => {
-                this.updateFilter('category', e.target.value);
+        // Numeric filters (price inputs are debounced while typing)
+        FiltersManager.NUMERIC_FILTERS.forEach(key => {
+            const control = document.getElementById(FiltersManager.CONTROL_IDS[key]);
+            if (!control) return;
+            if (control.tagName === 'SELECT') {
+                control.addEventListener('change', (e) => this.updateFilter(key, e.target.value));
+            } else {
+                control.addEventListener('input', Utils.debounce((e) => this.updateFilter(key, e.target.value), 500));
+            }
+        });
+        
+        // Favorites only
+        const favoritesFilter = document.getElementById('favorites-filter');
+        if (favoritesFilter) {
+            favoritesFilter.addEventListener('change', (e) => {
+                this.updateFilter('favorites', e.target.checked);
             });
         }
         
-        // Sort filter
-        const sortFilter = document.getElementById('sort-filter');
-        if (sortFilter) {
-            sortFilter.addEventListener('change', (e) => {
-                this.updateFilter('sort', e.target.value);
+        // Checkbox multi-selects: platform, category and niche facets (<details data-multiselect="{key}">)
+        document.querySelectorAll('[data-multiselect]').forEach(multiselect => {
+            multiselect.addEventListener('change', (e) => {
+                if (e.target.type !== 'checkbox') return;
+                const checked = Array.from(multiselect.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+                this.updateFilter(multiselect.dataset.multiselect, checked);
             });
+        });
+        
+        // Active filter chips (× and "Limpar tudo")
+        const chipsBar = document.getElementById('active-filters');
+        if (chipsBar) {
+            chipsBar.addEventListener('click', (e) => this.handleChipClick(e));
         }
         
         // Load more button
@@ -59,6 +206,43 @@ class FiltersManager {
                 this.loadMoreProducts();
             });
         }
+        
+        // Page size and infinite scroll
+        const pageSizeSelect = document.getElementById('page-size-select');
+        if (pageSizeSelect) {
+            pageSizeSelect.value = String(this.itemsPerPage);
+            pageSizeSelect.addEventListener('change', (e) => this.setPageSize(e.target.value));
+        }
+        
+        const infiniteScrollToggle = document.getElementById('infinite-scroll-toggle');
+        if (infiniteScrollToggle) {
+            infiniteScrollToggle.checked = this.infiniteScroll;
+            infiniteScrollToggle.addEventListener('change', (e) => this.setInfiniteScroll(e.target.checked));
+        }
+        
+        this.initializeInfiniteScroll();
+        
+        // Posição da listagem: restaurada por restoreListingState depois que os produtos carregam
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        window.addEventListener('scroll', Utils.debounce(() => this.saveListingState(), 200), { passive: true });
+        window.addEventListener('pagehide', () => this.saveListingState());
+    }
+    
+    /**
+     * Observe the sentinel below the grid to load the next page automatically
+     * (without IntersectionObserver the "load more" button stays)
+     */
+    initializeInfiniteScroll() {
+        const sentinel = document.getElementById('load-more-sentinel');
+        if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+        
+        this.loadMoreObserver = new IntersectionObserver((entries) => {
+            if (this.infiniteScroll && this.hasMoreProducts && entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreProducts({ notify: false });
+            }
+        }, { rootMargin: '0px 0px 600px 0px' });
     }
     
     /**
@@ -67,68 +251,377 @@ class FiltersManager {
      */
     setProducts(products) {
         this.allProducts = products;
+        this.searchIndex.build(this.allProducts);
+        this.renderFacetOptions();
+        this.currentPage = 1; // Lista mudou; paginação recomeça
         this.applyFilters();
         this.products = products || [];
 		if (typeof Logger !== 'undefined') Logger.info('FiltersManager.setProducts', { count: this.products.length });
     }
     
+    /**
+     * Drop the search typed in #search-input that is still waiting for the debounce
+     */
+    cancelPendingSearch() {
+        if (this.debouncedSearch) this.debouncedSearch.cancel();
+    }
+    
     /**
      * Update a specific filter
      * @param {string} filterType - Type of filter to update
-     * @param {string} value - New filter value
+     * @param {string|number|boolean|Array} value - New filter value
+     * @returns {Promise<void>|undefined} Same as applyFilters
      */
     updateFilter(filterType, value) {
+        value = this.normalizeFilterValue(filterType, value);
         this.currentFilters[filterType] = value;
         this.currentPage = 1; // Reset to first page
-        this.applyFilters();
+        
+        if (filterType === 'search') {
+            this.syncDefaultSort();
+        }
+        this.syncControls();
+        
+        const applied = this.applyFilters();
         
         // Update URL parameters
-        if (value) {
-            Utils.setQueryParam(filterType, value);
+        const param = this.serializeFilterValue(filterType, value);
+        if (param) {
+            Utils.setQueryParam(filterType, param);
         } else {
             Utils.removeQueryParam(filterType);
         }
-		this.filters[filterType] = value;
 		if (typeof Logger !== 'undefined') Logger.info('Filter atualizado', { key: filterType, value });
+        return applied;
+    }
+    
+    /**
+     * Convert a raw filter value (control value, URL param or code) to the stored form
+     * @param {string} key - Filter key
+     * @param {*} value - Raw value
+     * @returns {string|number|boolean|null|Array<string>} Normalized value
+     */
+    normalizeFilterValue(key, value) {
+        if (FiltersManager.ARRAY_FILTERS.includes(key)) {
+            const list = Array.isArray(value) ? value : String(value || '').split(',');
+            return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+        }
+        
+        if (FiltersManager.BOOLEAN_FILTERS.includes(key)) {
+            return value === true || value === '1' || value === 'true';
+        }
+        
+        if (FiltersManager.NUMERIC_FILTERS.includes(key)) {
+            if (value === null || value === undefined || String(value).trim() === '') return null;
+            // Aceita vírgula decimal ("99,90")
+            const number = Number(String(value).trim().replace(',', '.'));
+            return isFinite(number) && number >= 0 ? number : null;
+        }
+        
+        return value ? String(value) : '';
+    }
+    
+    /**
+     * Convert a stored filter value to its URL/control form
+     * @param {string} key - Filter key
+     * @param {*} value - Stored value
+     * @returns {string} Serialized value ('' when the filter is not set)
+     */
+    serializeFilterValue(key, value) {
+        if (Array.isArray(value)) return value.join(',');
+        if (typeof value === 'boolean') return value ? '1' : '';
+        if (value === null || value === undefined) return '';
+        return String(value);
+    }
+    
+    /**
+     * Update form controls to reflect currentFilters
+     * (needed when filters change from code, e.g. URL or search suggestions)
+     */
+    syncControls() {
+        Object.entries(FiltersManager.CONTROL_IDS).forEach(([key, id]) => {
+            const control = document.getElementById(id);
+            if (!control) return;
+            
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(this.currentFilters[key]);
+                return;
+            }
+            
+            const value = this.serializeFilterValue(key, this.currentFilters[key]);
+            // Só altera se o valor for outro, para não mexer no que está sendo digitado ("10," vs 10)
+            const current = this.serializeFilterValue(key, this.normalizeFilterValue(key, control.value));
+            if (current !== value) control.value = value;
+        });
+        
+        FiltersManager.ARRAY_FILTERS.forEach(key => this.syncMultiSelect(key));
+    }
+    
+    /**
+     * Check the boxes of a checkbox multi-select and update its counter
+     * @param {string} key - Filter key (data-multiselect value)
+     */
+    syncMultiSelect(key) {
+        const multiselect = document.querySelector(`[data-multiselect="${key}"]`);
+        if (!multiselect) return;
+        
+        const selected = this.currentFilters[key] || [];
+        multiselect.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = selected.includes(input.value);
+        });
+        
+        const counter = multiselect.querySelector('[data-multiselect-count]');
+        if (counter) counter.textContent = selected.length ? `(${selected.length})` : '';
+    }
+    
+    /**
+     * Render the options of a checkbox multi-select
+     * @param {string} key - Filter key (data-multiselect value)
+     * @param {Array} options - [{ value, count }]
+     */
+    renderMultiSelect(key, options) {
+        const multiselect = document.querySelector(`[data-multiselect="${key}"]`);
+        const container = multiselect ? multiselect.querySelector('[data-multiselect-options]') : null;
+        if (!container) return;
+        
+        container.innerHTML = options.length ? options.map(option => `
+            <label class="filter-multiselect-option">
+                <input type="checkbox" value="${Utils.escapeAttr(option.value)}" class="w-4 h-4">
+                <span class="flex-1">${Utils.sanitizeHtml(option.value)}</span>
+                <span class="text-xs text-gray-400" data-option-count>${option.count}</span>
+            </label>
+        `).join('') : '<p class="px-3 py-2 text-sm text-gray-500">Nenhuma opção disponível</p>';
+        
+        this.syncMultiSelect(key);
+    }
+    
+    /**
+     * Update the counts of a checkbox multi-select in place (keeps focus on the clicked box).
+     * Options without results are disabled, unless already checked so they can be unchecked.
+     * @param {string} key - Filter key (data-multiselect value)
+     * @param {Map} counts - Option value -> count
+     */
+    updateMultiSelectCounts(key, counts) {
+        const multiselect = document.querySelector(`[data-multiselect="${key}"]`);
+        if (!multiselect) return;
+        
+        multiselect.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            const count = counts.get(input.value) || 0;
+            const option = input.closest('label');
+            const counter = option ? option.querySelector('[data-option-count]') : null;
+            
+            if (counter) counter.textContent = count;
+            input.disabled = count === 0 && !input.checked;
+            if (option) option.classList.toggle('is-disabled', input.disabled);
+        });
+    }
+    
+    /**
+     * Values of a facet field for a product (as an array)
+     * @param {Object} product - Product data
+     * @param {string} field - Product field
+     * @returns {Array<string>} Values
+     */
+    getFacetValues(product, field) {
+        const value = product[field];
+        if (Array.isArray(value)) return value;
+        return value ? [value] : [];
+    }
+    
+    /**
+     * Count products per facet value
+     * @param {Array} products - Products to count
+     * @param {string} field - Product field
+     * @returns {Map} Value -> count
+     */
+    countFacetValues(products, field) {
+        const counts = new Map();
+        products.forEach(product => {
+            this.getFacetValues(product, field).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        });
+        return counts;
+    }
+    
+    /**
+     * Render the facet multi-selects from the values of the loaded products (most used first)
+     */
+    renderFacetOptions() {
+        Object.entries(FiltersManager.FACETS).forEach(([key, field]) => {
+            const options = Array.from(this.countFacetValues(this.allProducts, field), ([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'pt-BR'));
+            this.renderMultiSelect(key, options);
+        });
+    }
+    
+    /**
+     * Update facet counts: each option shows how many products it would yield
+     * combined with the other active filters (its own facet is ignored)
+     */
+    updateFacetCounts() {
+        Object.entries(FiltersManager.FACETS).forEach(([key, field]) => {
+            const products = this.filterProducts(this.allProducts, key);
+            this.updateMultiSelectCounts(key, this.countFacetValues(products, field));
+        });
+    }
+    
+    /**
+     * Check whether any filter (or a non-default sort) is narrowing the listing
+     * @returns {boolean} True if filters are active
+     */
+    hasActiveFilters() {
+        return Object.entries(this.currentFilters).some(([key, value]) => {
+            if (key === 'sort') return value !== 'discount' && value !== 'relevance';
+            return this.serializeFilterValue(key, value) !== '';
+        });
+    }
+    
+    /**
+     * Default sort for the current state: relevance while searching, discount otherwise
+     * @returns {string} Sort criteria
+     */
+    getDefaultSort() {
+        return this.currentFilters.search ? 'relevance' : 'discount';
+    }
+    
+    /**
+     * Switch between the default sorts when a search starts or ends,
+     * unless the user picked a sort explicitly
+     */
+    syncDefaultSort() {
+        if (this.sortChosenByUser) return;
+        this.currentFilters.sort = this.getDefaultSort();
     }
     
     /**
      * Apply all current filters
+     * @returns {Promise<void>|undefined} Promise when the filters run as SQL (see applyFiltersSql)
      */
     applyFilters() {
-        let filtered = [...this.allProducts];
+        if (this.sqlQuery && this.allProducts.length >= FiltersManager.SQL_FILTER_FROM) {
+            // Enquanto a consulta roda, a lista exibida ainda é a anterior (ver loadMoreProducts)
+            const pending = this.applyFiltersSql().finally(() => {
+                if (this.pendingFilters === pending) this.pendingFilters = null;
+            });
+            this.pendingFilters = pending;
+            return pending;
+        }
+        
+        // Search scores are used by filterProducts and by the 'relevance' sort
+        this.searchScores = this.currentFilters.search ? this.searchIndex.search(this.currentFilters.search) : null;
+        
+        let filtered = this.filterProducts(this.allProducts);
+        
+        // Apply sorting; the same item in several stores becomes one card
+        filtered = this.sortProducts(filtered, this.currentFilters.sort);
+        
+        this.filteredProducts = ProductGrouping.collapse(filtered);
+        this.renderFilteredProducts();
+        this.updateFilterStats();
+        this.updateFacetCounts();
+    }
+    
+    /**
+     * Set the function that runs the filters as SQL (large catalogs only)
+     * @param {Function|null} query - (filters) => Promise<[{ id, score }]>, or null to filter in JavaScript
+     */
+    setSqlQuery(query) {
+        this.sqlQuery = query;
+    }
+    
+    /**
+     * applyFilters for large catalogs: search, facets and ranges run as SQL in the worker;
+     * favorites, sorting and facet counts stay here. With a search, a second query without
+     * facets and ranges gives the search matches used by the counts (see updateFacetCounts)
+     * @returns {Promise<void>} Resolves once the results are rendered
+     */
+    async applyFiltersSql() {
+        const request = ++this.sqlRequest;
+        const { search } = this.currentFilters;
+        
+        let matches;
+        let searchMatches;
+        try {
+            [matches, searchMatches] = await Promise.all([
+                this.sqlQuery(this.currentFilters),
+                search ? this.sqlQuery({ search }) : null
+            ]);
+        } catch (error) {
+            if (typeof Logger !== 'undefined') Logger.warn('Filtro em SQL falhou; filtrando em JavaScript', { error: String(error) });
+            this.sqlQuery = null;
+            this.applyFilters();
+            return;
+        }
+        
+        // Filtros mudaram enquanto a consulta rodava: vale a resposta mais recente
+        if (request !== this.sqlRequest) return;
+        
+        // Só a busca: com as facetas aplicadas, as outras opções de uma faceta marcada ficariam com 0
+        this.searchScores = search ? new Map(searchMatches.map(match => [match.id, match.score])) : null;
+        
+        // Só produtos no ar (o banco também tem encerrados e agendados)
+        const matchIds = new Set(matches.map(match => match.id));
+        let filtered = this.allProducts.filter(product => matchIds.has(product.id));
+        if (this.currentFilters.favorites) {
+            const favoriteIds = new Set(FavoritesStore.ids());
+            filtered = filtered.filter(product => favoriteIds.has(product.id));
+        }
+        
+        this.filteredProducts = ProductGrouping.collapse(this.sortProducts(filtered, this.currentFilters.sort));
+        this.renderFilteredProducts();
+        this.updateFilterStats();
+        this.updateFacetCounts();
+    }
+    
+    /**
+     * Filter products by the current filters (without sorting)
+     * @param {Array} products - Products to filter
+     * @param {string|null} ignoreFacet - Facet key to leave out (used for facet counts)
+     * @returns {Array} Matching products
+     */
+    filterProducts(products, ignoreFacet = null) {
+        let filtered = [...products];
         
         // Apply search filter
-        if (this.currentFilters.search) {
-            const searchTerm = this.currentFilters.search.toLowerCase();
-            filtered = filtered.filter(product => 
-                product.titulo.toLowerCase().includes(searchTerm) ||
-                product.descricao.toLowerCase().includes(searchTerm) ||
-                product.categoria_principal.toLowerCase().includes(searchTerm) ||
-                product.plataforma.toLowerCase().includes(searchTerm)
-            );
+        if (this.searchScores) {
+            filtered = filtered.filter(product => this.searchScores.has(product.id));
         }
         
-        // Apply platform filter
-        if (this.currentFilters.platform) {
-            filtered = filtered.filter(product => 
-                product.plataforma === this.currentFilters.platform
-            );
+        // Apply favorites filter
+        if (this.currentFilters.favorites) {
+            const favoriteIds = new Set(FavoritesStore.ids());
+            filtered = filtered.filter(product => favoriteIds.has(product.id));
         }
         
-        // Apply category filter
-        if (this.currentFilters.category) {
-            filtered = filtered.filter(product => 
-                product.categoria_principal === this.currentFilters.category
+        // Apply facets (qualquer um dos valores marcados em cada faceta)
+        Object.entries(FiltersManager.FACETS).forEach(([key, field]) => {
+            const selected = this.currentFilters[key];
+            if (key === ignoreFacet || !selected.length) return;
+            filtered = filtered.filter(product =>
+                this.getFacetValues(product, field).some(value => selected.includes(value))
             );
+        });
+        
+        // Apply price range (sem preço não entra quando há limite)
+        const { priceMin, priceMax, minDiscount, minRating, minSales } = this.currentFilters;
+        if (priceMin !== null) {
+            filtered = filtered.filter(product => product.preco_promocional >= priceMin);
+        }
+        if (priceMax !== null) {
+            filtered = filtered.filter(product => product.preco_promocional > 0 && product.preco_promocional <= priceMax);
         }
         
-        // Apply sorting
-        filtered = this.sortProducts(filtered, this.currentFilters.sort);
+        // Apply minimum discount, rating and sales
+        if (minDiscount !== null) {
+            filtered = filtered.filter(product => product.desconto_percentual >= minDiscount);
+        }
+        if (minRating !== null) {
+            filtered = filtered.filter(product => product.avaliacao >= minRating);
+        }
+        if (minSales !== null) {
+            filtered = filtered.filter(product => product.vendas >= minSales);
+        }
         
-        this.filteredProducts = filtered;
-        this.renderFilteredProducts();
-        this.updateFilterStats();
+        return filtered;
     }
     
     /**
@@ -163,6 +656,15 @@ class FiltersManager {
             case 'sales':
                 return sorted.sort((a, b) => b.vendas - a.vendas);
             
+            case 'relevance':
+                if (!this.searchScores) {
+                    return sorted.sort((a, b) => b.desconto_percentual - a.desconto_percentual);
+                }
+                return sorted.sort((a, b) =>
+                    (this.searchScores.get(b.id) || 0) - (this.searchScores.get(a.id) || 0) ||
+                    b.desconto_percentual - a.desconto_percentual
+                );
+            
             default:
                 return sorted;
         }
@@ -184,7 +686,7 @@ class FiltersManager {
      */
     renderFilteredProducts() {
         // Render niche-specific sections
-        this.renderNicheSection('ofertas relampago', 'ofertas-relampago-grid', 8);
+        this.renderNicheSection('ofertas relampago', 'ofertas-relampago-grid', 8, { countdown: true });
         this.renderNicheSection('novidades', 'novidades-grid', 8);
         this.renderNicheSection('mais vendidos', 'mais-vendidos-grid', 8);
         
@@ -197,51 +699,191 @@ class FiltersManager {
      * @param {string} niche - Niche name
      * @param {string} containerId - Container element ID
      * @param {number} limit - Maximum number of products to show
+     * @param {Object} renderOptions - Options passed to ProductRenderer.renderProductGrid
      */
-    renderNicheSection(niche, containerId, limit = 8) {
-        const nicheProducts = this.getProductsByNiche(niche);
+    renderNicheSection(niche, containerId, limit = 8, renderOptions = {}) {
+        const nicheProducts = ProductGrouping.collapse(this.getProductsByNiche(niche));
         const limitedProducts = nicheProducts.slice(0, limit);
-        ProductRenderer.renderProductGrid(limitedProducts, containerId);
+        ProductRenderer.renderProductGrid(limitedProducts, containerId, renderOptions);
+        
+        // ItemList com o título visível da seção
+        const container = document.getElementById(containerId);
+        const heading = container && container.closest('section') ? container.closest('section').querySelector('h2') : null;
+        StructuredData.injectItemList(containerId, limitedProducts, heading ? heading.textContent.trim() : niche);
     }
     
     /**
      * Render all products section with pagination
+     * (every page up to currentPage at once, e.g. when coming back to the listing)
      */
     renderAllProductsSection() {
-        const hasMore = ProductRenderer.renderProductsWithPagination(
+        this.hasMoreProducts = ProductRenderer.renderProductsWithPagination(
             this.filteredProducts,
             'produtos-grid',
-            this.currentPage,
-            this.itemsPerPage
+            1,
+            this.itemsPerPage * this.currentPage
         );
         
-        // Update load more button visibility
-        const loadMoreBtn = document.getElementById('load-more-btn');
-        if (loadMoreBtn) {
-            loadMoreBtn.style.display = hasMore ? 'block' : 'none';
-        }
+        this.updateLoadMoreControls();
     }
     
     /**
-     * Load more products (pagination)
+     * Load more products (pagination): appends only the next page's cards
+     * @param {Object} options - { notify: show the "Carregados mais" notification }
      */
-    loadMoreProducts() {
+    loadMoreProducts({ notify = true } = {}) {
+        // Filtro em SQL ainda rodando: a próxima página é a da lista nova
+        if (this.pendingFilters) {
+            if (!this.loadMoreQueued) {
+                this.loadMoreQueued = true;
+                this.pendingFilters.then(() => {
+                    this.loadMoreQueued = false;
+                    this.loadMoreProducts({ notify });
+                });
+            }
+            return;
+        }
+        if (!this.hasMoreProducts) return;
+        
         this.currentPage++;
-        const hasMore = ProductRenderer.renderProductsWithPagination(
+        this.hasMoreProducts = ProductRenderer.renderProductsWithPagination(
             this.filteredProducts,
             'produtos-grid',
             this.currentPage,
             this.itemsPerPage
         );
         
-        // Update load more button visibility
+        this.updateLoadMoreControls();
+        this.saveListingState();
+        
+        // Show notification
+        if (notify) {
+            Utils.showNotification(`Carregados mais ${Math.min(this.itemsPerPage, this.filteredProducts.length - (this.currentPage - 1) * this.itemsPerPage)} produtos`, 'info', 2000);
+        }
+    }
+    
+    /**
+     * Show the load more button or watch the sentinel, depending on the mode
+     */
+    updateLoadMoreControls() {
+        const autoLoad = this.infiniteScroll && this.loadMoreObserver !== null;
+        
         const loadMoreBtn = document.getElementById('load-more-btn');
         if (loadMoreBtn) {
-            loadMoreBtn.style.display = hasMore ? 'block' : 'none';
+            loadMoreBtn.style.display = this.hasMoreProducts && !autoLoad ? 'block' : 'none';
         }
         
-        // Show notification
-        Utils.showNotification(`Carregados mais ${Math.min(this.itemsPerPage, this.filteredProducts.length - (this.currentPage - 1) * this.itemsPerPage)} produtos`, 'info', 2000);
+        const sentinel = document.getElementById('load-more-sentinel');
+        if (!sentinel || !this.loadMoreObserver) return;
+        
+        // Observar de novo refaz a checagem inicial: se o sentinela segue visível depois de anexar, vem mais uma página
+        this.loadMoreObserver.unobserve(sentinel);
+        if (autoLoad && this.hasMoreProducts) {
+            this.loadMoreObserver.observe(sentinel);
+        }
+    }
+    
+    /**
+     * Change the number of products per page, keeping the products already shown
+     * @param {number|string} size - One of PAGE_SIZES
+     */
+    setPageSize(size) {
+        size = Number(size);
+        if (!FiltersManager.PAGE_SIZES.includes(size) || size === this.itemsPerPage) return;
+        
+        const shown = this.currentPage * this.itemsPerPage;
+        this.itemsPerPage = size;
+        this.currentPage = Math.max(1, Math.ceil(shown / size));
+        
+        this.saveListingPreferences();
+        this.renderAllProductsSection();
+        this.saveListingState();
+		if (typeof Logger !== 'undefined') Logger.info('Itens por página alterado', { size });
+    }
+    
+    /**
+     * Turn infinite scroll on or off
+     * @param {boolean} enabled - True to load pages automatically while scrolling
+     */
+    setInfiniteScroll(enabled) {
+        this.infiniteScroll = Boolean(enabled);
+        this.saveListingPreferences();
+        this.updateLoadMoreControls();
+		if (typeof Logger !== 'undefined') Logger.info('Rolagem infinita alterada', { enabled: this.infiniteScroll });
+    }
+    
+    /**
+     * Persist the grid preferences
+     */
+    saveListingPreferences() {
+        try {
+            localStorage.setItem(FiltersManager.PREFERENCES_KEY, JSON.stringify({
+                pageSize: this.itemsPerPage,
+                infiniteScroll: this.infiniteScroll
+            }));
+        } catch (e) {
+            if (typeof Logger !== 'undefined') Logger.warn('Não foi possível salvar as preferências da listagem', { error: String(e) });
+        }
+    }
+    
+    /**
+     * Current filters as a string, to tell whether a saved position belongs to this listing
+     * @returns {string} Filters signature
+     */
+    getListingSignature() {
+        return Object.keys(FiltersManager.DEFAULT_FILTERS)
+            .map(key => `${key}=${this.serializeFilterValue(key, this.currentFilters[key])}`)
+            .join('&');
+    }
+    
+    /**
+     * Remember the loaded page count and the scroll position of the listing
+     * (history.state for back/forward and reload, sessionStorage for coming back from a product page)
+     */
+    saveListingState() {
+        // Antes da restauração a listagem ainda está na página 1 e não deve sobrescrever a posição salva;
+        // com o modal aberto a entrada do histórico é a do produto
+        if (!this.listingRestored || ProductRenderer.getOpenModal()) return;
+        
+        const state = {
+            filters: this.getListingSignature(),
+            page: this.currentPage,
+            scrollY: Math.round(window.scrollY)
+        };
+        
+        try {
+            window.history.replaceState({ ...(window.history.state || {}), listagem: state }, '');
+            sessionStorage.setItem(FiltersManager.LISTING_STATE_KEY, JSON.stringify(state));
+        } catch (e) {
+            // Sem sessionStorage (modo privado em alguns navegadores) fica só o history.state
+        }
+    }
+    
+    /**
+     * Restore the loaded page count and the scroll position saved for the current filters
+     * @returns {boolean} True if a position was restored
+     */
+    restoreListingState() {
+        this.listingRestored = true;
+        
+        let state = window.history.state && window.history.state.listagem;
+        if (!state) {
+            try {
+                state = JSON.parse(sessionStorage.getItem(FiltersManager.LISTING_STATE_KEY));
+            } catch (e) {
+                state = null;
+            }
+        }
+        if (!state || state.filters !== this.getListingSignature()) return false;
+        
+        const page = Math.max(1, parseInt(state.page, 10) || 1);
+        if (page !== this.currentPage) {
+            this.currentPage = page;
+            this.renderAllProductsSection();
+        }
+        window.scrollTo(0, Number(state.scrollY) || 0);
+		if (typeof Logger !== 'undefined') Logger.info('Posição da listagem restaurada', { page, scrollY: state.scrollY });
+        return true;
     }
     
     /**
@@ -254,6 +896,9 @@ class FiltersManager {
             resultsCount.textContent = `${this.filteredProducts.length} produtos encontrados`;
         }
         
+        // Update active filter chips
+        this.renderFilterChips();
+        
         // Update section visibility based on filters
         this.updateSectionVisibility();
     }
@@ -262,7 +907,7 @@ class FiltersManager {
      * Update section visibility based on active filters
      */
     updateSectionVisibility() {
-        const hasActiveFilters = Object.values(this.currentFilters).some(value => value && value !== 'discount');
+        const hasActiveFilters = this.hasActiveFilters();
         
         // Hide niche sections if filters are active
         const nicheSections = ['ofertas-relampago', 'novidades', 'mais-vendidos'];
@@ -282,64 +927,52 @@ class FiltersManager {
     
     /**
      * Clear all filters
+     * @returns {Promise<void>|undefined} Same as applyFilters
      */
     clearFilters() {
-        this.currentFilters = {
-            search: '',
-            platform: '',
-            category: '',
-            sort: 'discount'
-        };
+        this.currentFilters = FiltersManager.DEFAULT_FILTERS;
         this.currentPage = 1;
+        this.sortChosenByUser = false;
         
         // Reset form controls
-        const searchInput = document.getElementById('search-input');
-        const platformFilter = document.getElementById('platform-filter');
-        const categoryFilter = document.getElementById('category-filter');
-        const sortFilter = document.getElementById('sort-filter');
-        
-        if (searchInput) searchInput.value = '';
-        if (platformFilter) platformFilter.value = '';
-        if (categoryFilter) categoryFilter.value = '';
-        if (sortFilter) sortFilter.value = 'discount';
+        this.syncControls();
         
         // Clear URL parameters
-        ['search', 'platform', 'category', 'sort'].forEach(param => {
+        Object.keys(this.currentFilters).forEach(param => {
             Utils.removeQueryParam(param);
         });
         
-        this.applyFilters();
+        const applied = this.applyFilters();
         Utils.showNotification('Filtros limpos', 'info', 2000);
-		this.filters = {};
 		if (typeof Logger !== 'undefined') Logger.info('Todos os filtros limpos');
+        return applied;
     }
     
     /**
      * Load filters from URL parameters
+     * @returns {Promise<void>|undefined} Same as applyFilters
      */
     loadFiltersFromURL() {
-        const urlFilters = {
-            search: Utils.getQueryParam('search') || '',
-            platform: Utils.getQueryParam('platform') || '',
-            category: Utils.getQueryParam('category') || '',
-            sort: Utils.getQueryParam('sort') || 'discount'
-        };
+        const urlFilters = {};
+        Object.keys(FiltersManager.DEFAULT_FILTERS).forEach(key => {
+            urlFilters[key] = this.normalizeFilterValue(key, Utils.getQueryParam(key));
+        });
         
-        // Update form controls
-        const searchInput = document.getElementById('search-input');
-        const platformFilter = document.getElementById('platform-filter');
-        const categoryFilter = document.getElementById('category-filter');
-        const sortFilter = document.getElementById('sort-filter');
+        // Páginas /categoria/{slug} pré-renderizadas informam a categoria no <body>
+        if (!urlFilters.category.length && document.body.dataset.prerenderedCategory) {
+            urlFilters.category = [document.body.dataset.prerenderedCategory];
+        }
         
-        if (searchInput && urlFilters.search) searchInput.value = urlFilters.search;
-        if (platformFilter && urlFilters.platform) platformFilter.value = urlFilters.platform;
-        if (categoryFilter && urlFilters.category) categoryFilter.value = urlFilters.category;
-        if (sortFilter && urlFilters.sort) sortFilter.value = urlFilters.sort;
+        // Sem ordenação na URL vale o padrão (relevância quando há busca)
+        this.sortChosenByUser = Boolean(urlFilters.sort);
+        if (!urlFilters.sort) urlFilters.sort = urlFilters.search ? 'relevance' : 'discount';
         
         // Apply filters
         this.currentFilters = urlFilters;
-        this.applyFilters();
+        this.syncControls();
+        const applied = this.applyFilters();
 		if (typeof Logger !== 'undefined') Logger.info('FiltersManager.loadFiltersFromURL', { url: window.location.href });
+        return applied;
     }
     
     /**
@@ -358,7 +991,7 @@ class FiltersManager {
                 `${product.desconto_percentual}%`,
                 product.plataforma,
                 product.categoria_principal,
-                product.link_afiliado
+                AffiliateLinks.build(product, 'export')
             ]);
             
             return [headers, ...rows].map(row => 
@@ -366,30 +999,65 @@ class FiltersManager {
             ).join('\n');
         }
         
-        return JSON.stringify(this.filteredProducts, null, 2);
+        const products = this.filteredProducts.map(product => ({
+            ...product,
+            link_afiliado: AffiliateLinks.build(product, 'export')
+        }));
+        return JSON.stringify(products, null, 2);
 		if (typeof Logger !== 'undefined') Logger.info('Exportando produtos filtrados', { format, count: /*...computed count...*/ 0 });
     }
     
     /**
-     * Get filter summary for display
-     * @returns {Object} Filter summary
+     * Build one chip per active filter value
+     * @returns {Array} [{ key, value, label }] (key 'price' covers priceMin and priceMax)
      */
-    getFilterSummary() {
-        const activeFilters = [];
+    getActiveFilterChips() {
+        const chips = [];
+        const add = (key, value, label) => chips.push({ key, value, label });
         
         if (this.currentFilters.search) {
-            activeFilters.push(`Busca: "${this.currentFilters.search}"`);
+            add('search', this.currentFilters.search, `Busca: "${this.currentFilters.search}"`);
+        }
+        
+        this.currentFilters.platform.forEach(platform => {
+            add('platform', platform, `Plataforma: ${platform}`);
+        });
+        
+        this.currentFilters.category.forEach(category => {
+            add('category', category, `Categoria: ${category}`);
+        });
+        
+        const { priceMin, priceMax, minDiscount, minRating, minSales, niches } = this.currentFilters;
+        if (priceMin !== null && priceMax !== null) {
+            add('price', null, `Preço: ${Utils.formatCurrency(priceMin)} a ${Utils.formatCurrency(priceMax)}`);
+        } else if (priceMin !== null) {
+            add('price', null, `Preço: a partir de ${Utils.formatCurrency(priceMin)}`);
+        } else if (priceMax !== null) {
+            add('price', null, `Preço: até ${Utils.formatCurrency(priceMax)}`);
+        }
+        
+        if (minDiscount !== null) {
+            add('minDiscount', minDiscount, `Desconto: ${Utils.formatNumber(minDiscount)}% ou mais`);
+        }
+        
+        if (minRating !== null) {
+            add('minRating', minRating, `Avaliação: ${Utils.formatNumber(minRating)}+ estrelas`);
         }
         
-        if (this.currentFilters.platform) {
-            activeFilters.push(`Plataforma: ${this.currentFilters.platform}`);
+        if (minSales !== null) {
+            add('minSales', minSales, `Vendas: ${Utils.formatNumber(minSales)}+`);
         }
         
-        if (this.currentFilters.category) {
-            activeFilters.push(`Categoria: ${this.currentFilters.category}`);
+        niches.forEach(niche => {
+            add('niches', niche, `Nicho: ${niche}`);
+        });
+        
+        if (this.currentFilters.favorites) {
+            add('favorites', true, 'Só favoritos');
         }
         
         const sortLabels = {
+            'relevance': 'Relevância',
             'discount': 'Maior Desconto',
             'price-low': 'Menor Preço',
             'price-high': 'Maior Preço',
@@ -398,12 +1066,123 @@ class FiltersManager {
             'sales': 'Mais Vendidos'
         };
         
-        if (this.currentFilters.sort && this.currentFilters.sort !== 'discount') {
-            activeFilters.push(`Ordenação: ${sortLabels[this.currentFilters.sort]}`);
+        if (this.currentFilters.sort && this.currentFilters.sort !== this.getDefaultSort()) {
+            add('sort', this.currentFilters.sort, `Ordenação: ${sortLabels[this.currentFilters.sort]}`);
         }
         
+        return chips;
+    }
+    
+    /**
+     * Remove a single active filter (or one value of a multi-value filter)
+     * @param {string} key - Filter key, or 'price' for the whole price range
+     * @param {*} value - Value to remove from a multi-value filter
+     * @returns {Promise<void>|undefined} Same as applyFilters
+     */
+    removeFilter(key, value) {
+        let applied;
+        if (key === 'price') {
+            this.currentFilters.priceMin = null;
+            this.currentFilters.priceMax = null;
+            this.currentPage = 1;
+            Utils.removeQueryParam('priceMin');
+            Utils.removeQueryParam('priceMax');
+            this.syncControls();
+            applied = this.applyFilters();
+        } else if (key === 'sort') {
+            // Volta à ordenação padrão (que também acompanha a busca dali em diante)
+            this.sortChosenByUser = false;
+            this.currentFilters.sort = this.getDefaultSort();
+            this.currentPage = 1;
+            Utils.removeQueryParam('sort');
+            this.syncControls();
+            applied = this.applyFilters();
+        } else if (FiltersManager.ARRAY_FILTERS.includes(key)) {
+            applied = this.updateFilter(key, this.currentFilters[key].filter(item => item !== value));
+        } else {
+            applied = this.updateFilter(key, null);
+        }
+		if (typeof Logger !== 'undefined') Logger.info('Filtro removido', { key, value });
+        return applied;
+    }
+    
+    /**
+     * Render the active filter chips above the products grid
+     */
+    renderFilterChips() {
+        const container = document.getElementById('active-filters');
+        if (!container) return;
+        
+        this.filterChips = this.getActiveFilterChips();
+        if (this.filterChips.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        container.style.display = 'flex';
+        container.innerHTML = this.filterChips.map((chip, index) => `
+            <span class="filter-chip">
+                ${Utils.sanitizeHtml(chip.label)}
+                <button type="button" class="filter-chip-remove" data-chip-index="${index}" aria-label="Remover filtro ${Utils.sanitizeHtml(chip.label)}">&times;</button>
+            </span>
+        `).join('') + `
+            <button type="button" class="filter-chip filter-chip-clear" data-clear-filters>Limpar tudo</button>
+        `;
+    }
+    
+    /**
+     * Handle clicks on the chips bar, keeping keyboard focus in the bar
+     * @param {Event} e - Click event
+     * @returns {Promise<void>} Resolves once the list is filtered and focus moved
+     */
+    async handleChipClick(e) {
+        const container = e.currentTarget;
+        
+        // Com filtro em SQL a lista e os chips só são refeitos quando a consulta termina
+        if (e.target.closest('[data-clear-filters]')) {
+            await this.clearFilters();
+            this.focusResultsCount();
+            return;
+        }
+        
+        const removeBtn = e.target.closest('[data-chip-index]');
+        if (!removeBtn) return;
+        
+        const index = Number(removeBtn.dataset.chipIndex);
+        const chip = this.filterChips[index];
+        if (!chip) return;
+        
+        await this.removeFilter(chip.key, chip.value);
+        
+        // Foco vai para o chip que ocupou o lugar do removido (ou o anterior); sem chips, para a contagem
+        const buttons = container.querySelectorAll('[data-chip-index]');
+        if (buttons.length) {
+            buttons[Math.min(index, buttons.length - 1)].focus();
+        } else {
+            this.focusResultsCount();
+        }
+    }
+    
+    /**
+     * Move focus to the results count (announced by screen readers)
+     */
+    focusResultsCount() {
+        const resultsCount = document.getElementById('results-count');
+        if (resultsCount) resultsCount.focus();
+    }
+    
+    /**
+     * Get filter summary for display
+     * @returns {Object} Filter summary
+     */
+    getFilterSummary() {
+        const chips = this.getActiveFilterChips();
+        const activeFilters = chips.map(chip => chip.label);
+        
         const summary = {
             activeFilters,
+            chips,
             totalProducts: this.allProducts.length,
             filteredProducts: this.filteredProducts.length,
             hasActiveFilters: activeFilters.length > 0
@@ -0,0 +1,387 @@
+// Product image gallery for the modal: thumbnails, arrows/keyboard/swipe navigation,
+// click or pinch zoom and fullscreen
+
+class ImageGallery {
+    /**
+     * Horizontal distance a touch has to travel to change image
+     * @returns {number} Pixels
+     */
+    static get SWIPE_THRESHOLD() {
+        return 50;
+    }
+
+    /**
+     * Zoom applied by a click, and the largest pinch zoom
+     * @returns {Object} { click, max } scale factors
+     */
+    static get ZOOM() {
+        return { click: 2, max: 4 };
+    }
+
+    /**
+     * Render a gallery
+     * @param {Array<string>} images - Usable srcs (see ProductRenderer.normalizeImageSrc), in order
+     * @param {Object} options - { alt: text used in the image descriptions }
+     * @returns {string} HTML string for the gallery
+     */
+    static render(images, { alt = '' } = {}) {
+        const label = Utils.sanitizeHtml(alt);
+        const multiple = images.length > 1;
+
+        if (images.length === 0) {
+            return `
+                <div class="image-gallery" data-image-gallery>
+                    <div class="image-gallery-stage">
+                        ${this.renderPlaceholder(label)}
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="image-gallery" data-image-gallery role="region" aria-roledescription="galeria" aria-label="Imagens de ${label}">
+                <div class="image-gallery-stage">
+                    ${images.map((src, index) => `
+                        <figure class="image-gallery-slide ${index === 0 ? 'is-active' : ''}" data-index="${index}">
+                            <img
+                                src="${src}"
+                                alt="${label} - Imagem ${index + 1}"
+                                class="image-gallery-image"
+                                ${index > 0 ? 'loading="lazy"' : ''}
+                                draggable="false"
+                                onerror="ImageGallery.skipImage(this)"
+                            >
+                        </figure>
+                    `).join('')}
+
+                    <button type="button" class="image-gallery-nav image-gallery-prev" onclick="ImageGallery.step(this, -1)" aria-label="Imagem anterior" ${multiple ? '' : 'style="display: none;"'}>
+                        <i data-lucide="chevron-left" class="w-5 h-5"></i>
+                    </button>
+                    <button type="button" class="image-gallery-nav image-gallery-next" onclick="ImageGallery.step(this, 1)" aria-label="Próxima imagem" ${multiple ? '' : 'style="display: none;"'}>
+                        <i data-lucide="chevron-right" class="w-5 h-5"></i>
+                    </button>
+                    <button type="button" class="image-gallery-fullscreen" onclick="ImageGallery.toggleFullscreen(this)" aria-label="Tela cheia">
+                        <i data-lucide="maximize-2" class="w-4 h-4"></i>
+                    </button>
+                    <span class="image-gallery-counter" aria-live="polite" ${multiple ? '' : 'style="display: none;"'}>1 / ${images.length}</span>
+                </div>
+
+                <div class="image-gallery-thumbs" ${multiple ? '' : 'style="display: none;"'}>
+                    ${images.map((src, index) => `
+                        <button type="button" class="image-gallery-thumb" data-index="${index}" onclick="ImageGallery.show(this, ${index})" aria-label="Ver imagem ${index + 1}" ${index === 0 ? 'aria-current="true"' : ''}>
+                            <img src="${src}" alt="" loading="lazy" draggable="false" onerror="ImageGallery.skipImage(this)">
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the slide shown when a product has no usable image
+     * @param {string} label - Sanitized image description
+     * @returns {string} HTML string for the slide
+     */
+    static renderPlaceholder(label) {
+        return `
+            <figure class="image-gallery-slide is-active" data-placeholder>
+                <img src="${Utils.getPlaceholderImage(400, 300)}" alt="${label}" class="image-gallery-image">
+            </figure>
+        `;
+    }
+
+    /**
+     * Wire the pointer gestures (swipe, pinch, drag while zoomed, click zoom) of the galleries in an element
+     * @param {HTMLElement} root - Element containing galleries (e.g. the product modal)
+     */
+    static attach(root) {
+        root.querySelectorAll('[data-image-gallery]:not([data-gallery-ready])').forEach(gallery => {
+            gallery.dataset.galleryReady = '';
+            const stage = gallery.querySelector('.image-gallery-stage');
+            const gesture = { pointers: new Map(), startX: 0, startY: 0, pinchDistance: 0, pinchScale: 1, moved: false };
+
+            stage.addEventListener('pointerdown', (e) => {
+                if (e.target.closest('button')) return;
+                gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                if (gesture.pointers.size === 1) {
+                    gesture.startX = e.clientX;
+                    gesture.startY = e.clientY;
+                    gesture.moved = false;
+                } else if (gesture.pointers.size === 2) {
+                    gesture.pinchDistance = this.getDistance(gesture.pointers);
+                    gesture.pinchScale = this.getZoom(gallery).scale;
+                    gesture.moved = true;
+                }
+            });
+
+            stage.addEventListener('pointermove', (e) => {
+                const previous = gesture.pointers.get(e.pointerId);
+                if (!previous) return;
+                gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+                const zoom = this.getZoom(gallery);
+                if (gesture.pointers.size === 2 && gesture.pinchDistance > 0) {
+                    const points = Array.from(gesture.pointers.values());
+                    const scale = gesture.pinchScale * this.getDistance(gesture.pointers) / gesture.pinchDistance;
+                    this.setZoom(gallery, scale, (points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+                } else if (gesture.pointers.size === 1 && zoom.scale > 1) {
+                    // Arrastar com zoom move a área ampliada
+                    const rect = zoom.image.getBoundingClientRect();
+                    const factor = 100 / (zoom.scale - 1);
+                    zoom.originX -= (e.clientX - previous.x) / rect.width * factor;
+                    zoom.originY -= (e.clientY - previous.y) / rect.height * factor;
+                    this.applyZoom(zoom);
+                }
+
+                if (Math.abs(e.clientX - gesture.startX) > 5 || Math.abs(e.clientY - gesture.startY) > 5) gesture.moved = true;
+            });
+
+            const end = (e) => {
+                if (!gesture.pointers.has(e.pointerId)) return;
+                gesture.pointers.delete(e.pointerId);
+                if (gesture.pointers.size > 0 || e.type === 'pointercancel') return;
+
+                // Deslizar troca a imagem (só sem zoom; com zoom o gesto arrasta a imagem)
+                const dx = e.clientX - gesture.startX;
+                const dy = e.clientY - gesture.startY;
+                if (this.getZoom(gallery).scale === 1 && Math.abs(dx) >= this.SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                    this.step(gallery, dx < 0 ? 1 : -1);
+                }
+            };
+            stage.addEventListener('pointerup', end);
+            stage.addEventListener('pointercancel', end);
+
+            // Clique (sem arrastar) alterna o zoom no ponto clicado
+            stage.addEventListener('click', (e) => {
+                if (gesture.moved || !e.target.classList.contains('image-gallery-image')) return;
+                const zoom = this.getZoom(gallery);
+                this.setZoom(gallery, zoom.scale > 1 ? 1 : this.ZOOM.click, e.clientX, e.clientY);
+            });
+        });
+    }
+
+    /**
+     * Distance between the first two pointers
+     * @param {Map} pointers - Pointer ID -> { x, y }
+     * @returns {number} Pixels
+     */
+    static getDistance(pointers) {
+        const [a, b] = Array.from(pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Find the gallery of an element (or the gallery itself)
+     * @param {HTMLElement} element - Gallery or element inside it
+     * @returns {HTMLElement|null} Gallery element
+     */
+    static getGallery(element) {
+        return element ? element.closest('[data-image-gallery]') : null;
+    }
+
+    /**
+     * Gallery the arrow keys act on: the one in fullscreen, or else the one in the open product modal
+     * @returns {HTMLElement|null} Gallery element
+     */
+    static getActiveGallery() {
+        const fullscreen = this.getGallery(document.fullscreenElement);
+        if (fullscreen) return fullscreen;
+        const modal = ProductRenderer.getOpenModal();
+        return modal ? modal.querySelector('[data-image-gallery]') : null;
+    }
+
+    /**
+     * Slides still in the gallery (images that failed to load are removed)
+     * @param {HTMLElement} gallery - Gallery element
+     * @returns {Array<HTMLElement>} Slides, in order
+     */
+    static getSlides(gallery) {
+        return Array.from(gallery.querySelectorAll('.image-gallery-slide'));
+    }
+
+    /**
+     * Show the image at a position
+     * @param {HTMLElement} element - Gallery or element inside it
+     * @param {number} position - Position among the remaining slides (wraps around)
+     */
+    static show(element, position) {
+        const gallery = this.getGallery(element);
+        if (!gallery) return;
+        const slides = this.getSlides(gallery);
+        if (slides.length === 0) return;
+
+        // Thumbnails carry the original slide index; translate it for clicks on them
+        if (element.classList && element.classList.contains('image-gallery-thumb')) {
+            position = slides.findIndex(slide => slide.dataset.index === element.dataset.index);
+        }
+        const current = (position % slides.length + slides.length) % slides.length;
+
+        this.setZoom(gallery, 1);
+        slides.forEach((slide, index) => slide.classList.toggle('is-active', index === current));
+        gallery.querySelectorAll('.image-gallery-thumb').forEach(thumb => {
+            if (thumb.dataset.index === slides[current].dataset.index) {
+                thumb.setAttribute('aria-current', 'true');
+                thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+
+        this.updateControls(gallery);
+    }
+
+    /**
+     * Move to the previous or next image
+     * @param {HTMLElement} element - Gallery or element inside it
+     * @param {number} delta - -1 for previous, 1 for next
+     */
+    static step(element, delta) {
+        const gallery = this.getGallery(element);
+        if (!gallery) return;
+        const slides = this.getSlides(gallery);
+        const current = slides.findIndex(slide => slide.classList.contains('is-active'));
+        this.show(gallery, Math.max(current, 0) + delta);
+    }
+
+    /**
+     * Update the counter and hide the navigation when a single image is left
+     * @param {HTMLElement} gallery - Gallery element
+     */
+    static updateControls(gallery) {
+        const slides = this.getSlides(gallery);
+        const current = slides.findIndex(slide => slide.classList.contains('is-active'));
+        const multiple = slides.length > 1;
+
+        gallery.querySelectorAll('.image-gallery-nav, .image-gallery-counter, .image-gallery-thumbs').forEach(control => {
+            control.style.display = multiple ? '' : 'none';
+        });
+        const counter = gallery.querySelector('.image-gallery-counter');
+        if (counter) counter.textContent = `${current + 1} / ${slides.length}`;
+    }
+
+    /**
+     * Drop an image that failed to load (slide and thumbnail); the placeholder is shown when none is left
+     * @param {HTMLImageElement} img - Image that failed (slide or thumbnail)
+     */
+    static skipImage(img) {
+        const gallery = this.getGallery(img);
+        const item = img.closest('[data-index]');
+        if (!gallery || !item) return;
+
+        const index = item.dataset.index;
+        const slides = this.getSlides(gallery);
+        const position = slides.findIndex(slide => slide.dataset.index === index);
+        const wasActive = position >= 0 && slides[position].classList.contains('is-active');
+
+        gallery.querySelectorAll(`[data-index="${index}"]`).forEach(element => element.remove());
+        if (typeof Logger !== 'undefined') Logger.debug('Imagem da galeria ignorada (falha ao carregar)', { index });
+
+        const remaining = this.getSlides(gallery);
+        if (remaining.length === 0) {
+            const stage = gallery.querySelector('.image-gallery-stage');
+            const alt = img.alt ? img.alt.replace(/ - Imagem \d+$/, '') : '';
+            stage.insertAdjacentHTML('afterbegin', this.renderPlaceholder(Utils.sanitizeHtml(alt)));
+            gallery.querySelectorAll('.image-gallery-fullscreen').forEach(button => button.style.display = 'none');
+            this.updateControls(gallery);
+        } else if (wasActive) {
+            this.show(gallery, Math.min(position, remaining.length - 1));
+        } else {
+            this.updateControls(gallery);
+        }
+    }
+
+    /**
+     * Current zoom of the active image
+     * @param {HTMLElement} gallery - Gallery element
+     * @returns {Object} { image, scale, originX, originY } (origin in percent of the image)
+     */
+    static getZoom(gallery) {
+        const image = gallery.querySelector('.image-gallery-slide.is-active .image-gallery-image');
+        if (!image) return { image: null, scale: 1, originX: 50, originY: 50 };
+        return {
+            image,
+            scale: Number(image.dataset.zoom) || 1,
+            originX: Number(image.dataset.originX) || 50,
+            originY: Number(image.dataset.originY) || 50
+        };
+    }
+
+    /**
+     * Zoom the active image around a point of the screen
+     * @param {HTMLElement} gallery - Gallery element
+     * @param {number} scale - Scale factor (clamped to 1..ZOOM.max; 1 resets)
+     * @param {number} clientX - Zoom center X (viewport), optional
+     * @param {number} clientY - Zoom center Y (viewport), optional
+     */
+    static setZoom(gallery, scale, clientX, clientY) {
+        const zoom = this.getZoom(gallery);
+        if (!zoom.image) return;
+
+        zoom.scale = Math.min(this.ZOOM.max, Math.max(1, scale));
+        if (zoom.scale === 1) {
+            zoom.originX = 50;
+            zoom.originY = 50;
+        } else if (clientX !== undefined && clientY !== undefined) {
+            const rect = zoom.image.getBoundingClientRect();
+            zoom.originX = (clientX - rect.left) / rect.width * 100;
+            zoom.originY = (clientY - rect.top) / rect.height * 100;
+        }
+        this.applyZoom(zoom);
+    }
+
+    /**
+     * Write a zoom state to its image
+     * @param {Object} zoom - { image, scale, originX, originY }
+     */
+    static applyZoom({ image, scale, originX, originY }) {
+        const x = Math.min(100, Math.max(0, originX));
+        const y = Math.min(100, Math.max(0, originY));
+
+        image.dataset.zoom = scale;
+        image.dataset.originX = x;
+        image.dataset.originY = y;
+        image.style.transformOrigin = `${x}% ${y}%`;
+        image.style.transform = scale > 1 ? `scale(${scale})` : '';
+        this.getGallery(image).classList.toggle('is-zoomed', scale > 1);
+    }
+
+    /**
+     * Enter or leave fullscreen with the gallery
+     * @param {HTMLElement} element - Gallery or element inside it
+     */
+    static toggleFullscreen(element) {
+        const gallery = this.getGallery(element);
+        if (!gallery) return;
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (gallery.requestFullscreen) {
+            gallery.requestFullscreen().catch(error => {
+                if (typeof Logger !== 'undefined') Logger.warn('Tela cheia indisponível', { error: String(error) });
+            });
+        } else if (gallery.webkitRequestFullscreen) {
+            gallery.webkitRequestFullscreen();
+        }
+    }
+
+    /**
+     * Handle the gallery keys (← → change image); ignored while typing
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {boolean} True if the key was used
+     */
+    static handleKeydown(e) {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return false;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return false;
+        if (document.querySelector('.compare-modal')) return false;
+
+        const gallery = this.getActiveGallery();
+        if (!gallery || this.getSlides(gallery).length < 2) return false;
+
+        e.preventDefault();
+        this.step(gallery, e.key === 'ArrowLeft' ? -1 : 1);
+        return true;
+    }
+}
+
+// Export for use in other modules
+window.ImageGallery = ImageGallery;
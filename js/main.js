@@ -3,8 +3,26 @@
 class PromotionsApp {
     constructor() {
         this.filtersManager = new FiltersManager();
+        this.catalog = [];
         this.products = [];
+        this.recentlyExpired = [];
+        this.showRecentlyExpired = false;
+        this.lifecycleTimer = null;
+        this.lifecycleSignature = null;
         this.lastUpdateTime = null;
+        // Capturado antes de qualquer pushState para /produto/{id} mudar a base dos caminhos relativos
+        this.baseUrl = document.baseURI;
+        this.router = new ProductRouter({
+            findProduct: (id) => this.catalog.find(p => p.id === id),
+            onNavigate: () => this.trackPageView()
+        });
+        ProductComparison.init({
+            findProduct: (id) => this.catalog.find(p => p.id === id)
+        });
+        this.searchSuggestions = new SearchSuggestions({
+            filtersManager: this.filtersManager,
+            onSelectProduct: (product) => ProductRenderer.showProductModal(product)
+        });
         
         this.init();
     }
@@ -14,8 +32,8 @@ class PromotionsApp {
      */
     async init() {
         try {
-            // Show loading overlay
-            this.showLoadingOverlay(true);
+            // Show loading overlay (páginas pré-renderizadas já têm conteúdo visível)
+            this.showLoadingOverlay(!('prerendered' in document.body.dataset));
             
             // Initialize event listeners
             this.initializeEventListeners();
@@ -23,8 +41,14 @@ class PromotionsApp {
             // Load products
             await this.loadProducts();
             
-            // Load filters from URL
-            this.filtersManager.loadFiltersFromURL();
+            // Load filters from URL (com filtro em SQL, espera a primeira consulta)
+            await this.filtersManager.loadFiltersFromURL();
+            
+            // Back to the listing: same pages loaded and same scroll position
+            this.filtersManager.restoreListingState();
+            
+            // Open product from /produto/{id} or ?produto={id}
+            this.router.init();
             
             // Hide loading overlay
             this.showLoadingOverlay(false);
@@ -41,236 +65,237 @@ class PromotionsApp {
     }
     
     /**
-     * Load products from SQLite (sql.js) — sem fallback para CSV
-     * Agora tenta múltiplos nomes de arquivo em data/ e fornece logs detalhados
+     * Load products from the configured data sources (SQLite, CSV, JSON — see js/data-sources.js),
+     * merged by id. O SQLite é lido em um Web Worker (js/products-worker.js), que informa
+     * o progresso para o overlay de carregamento.
      */
     async loadProducts() {
         try {
-            // Possíveis caminhos do arquivo SQLite (prioridade)
-            const candidatePaths = [
-                'data/produtos.db'
-            ];
-
-            // Ensure sql.js is initialized
-            const SQL = await ensureInitSqlJs();
-
-            let resp = null;
-            let usedPath = null;
-            const errors = [];
-
-            // Tentar encontrar um arquivo válido
-            for (const p of candidatePaths) {
-                try {
-                    console.info(`Tentando carregar SQLite em: ${p}`);
-                    const r = await fetch(p);
-                    if (r.ok) {
-                        resp = r;
-                        usedPath = p;
-                        console.info(`Encontrado arquivo SQLite em: ${p}`);
-                        break;
-                    } else {
-                        errors.push({ path: p, status: r.status, statusText: r.statusText });
-                        console.warn(`Arquivo não disponível em ${p} (status ${r.status})`);
+            const { products, results, sqlite } = await DataSources.load({
+                baseUrl: this.baseUrl,
+                onProgress: (progress) => this.updateLoadingProgress(progress),
+                getProductsLoader: () => {
+                    if (!this.productsLoader) {
+                        this.productsLoader = new ProductsLoader(new URL('js/products-worker.js', this.baseUrl));
                     }
-                } catch (fetchErr) {
-                    errors.push({ path: p, error: String(fetchErr) });
-                    console.warn(`Erro ao tentar fetch ${p}:`, fetchErr);
+                    return this.productsLoader;
                 }
-            }
+            });
 
-            if (!resp) {
-                console.error('Nenhum arquivo SQLite encontrado. Tentativas:', errors);
-                const tried = candidatePaths.join(', ');
-                this.showError(`Arquivo de dados não encontrado. Foram tentados: ${tried}`);
-                // Mantém produtos vazios e atualiza UI
-                this.products = [];
-                this.filtersManager.setProducts(this.products);
-                this.lastUpdateTime = null;
-                this.updateLastUpdateDisplay();
-                return;
+            if (sqlite) {
+                console.info(`Colunas carregadas do SQLite (${sqlite.table}):`, sqlite.columns);
+                const missing = ProductsDatabase.EXPECTED_COLUMNS.filter(c => !sqlite.columns.includes(c));
+                if (missing.length) console.info('Colunas ausentes (não obrigatórias):', missing);
             }
 
-            // Carrega DB a partir do arquivo encontrado
-            const buffer = await resp.arrayBuffer();
-            const db = new SQL.Database(new Uint8Array(buffer));
-
-            // Possíveis nomes de tabela (priorizar 'produtos' conforme sua imagem)
-            const tableCandidates = ['produtos', 'products'];
-
-            // Encontrar tabela válida usando PRAGMA table_info
-            let foundTable = null;
-            for (const t of tableCandidates) {
-                try {
-                    const pragma = db.exec(`PRAGMA table_info('${t}')`);
-                    if (pragma && pragma.length > 0 && pragma[0].values && pragma[0].values.length > 0) {
-                        foundTable = t;
-                        console.info(`Tabela encontrada: ${t}`);
-                        break;
-                    }
-                } catch (err) {
-                    // ignora e tenta próxima
-                }
-            }
+            // Linhas com erro de esquema ficam fora do site (motivos em ?debug=dados)
+            const invalid = products.filter(product => !ProductSchema.isValid(product));
+            if (invalid.length) console.warn(`${invalid.length} produtos com dados inválidos foram ocultados; veja ?debug=dados`);
+            this.catalog = invalid.length ? products.filter(product => ProductSchema.isValid(product)) : products;
 
-            // Se nenhuma das tabelas esperadas existir, tentar identificar a primeira tabela do DB
-            if (!foundTable) {
-                try {
-                    const tablesRes = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'");
-                    if (tablesRes && tablesRes.length && tablesRes[0].values.length) {
-                        foundTable = tablesRes[0].values[0][0]; // primeiro nome de tabela
-                        console.warn(`Nenhuma tabela esperada encontrada; usando primeira tabela detectada: ${foundTable}`);
-                    }
-                } catch (err) {
-                    // nada
-                }
+            // Histórico de preços: tabela opcional historico_precos (produto_id, preco, data) + snapshots no IndexedDB
+            if (sqlite && sqlite.history.length) {
+                PriceHistory.addEntries(sqlite.history);
+                console.info(`Histórico de preços carregado do SQLite: ${sqlite.history.length} registros`);
             }
+            await PriceHistory.record(this.catalog);
 
-            if (!foundTable) {
-                throw new Error('Nenhuma tabela válida encontrada no banco de dados SQLite.');
-            }
+            // Catálogos grandes são filtrados em SQL no worker — só quando o banco é a única fonte com produtos
+            const sqliteOnly = sqlite && results.every(result => result.count === 0 || result.source === sqlite.source);
+            this.filtersManager.setSqlQuery(sqliteOnly ? (filters) => this.productsLoader.query(filters) : null);
 
-            // Expected columns (em português conforme sua imagem)
-            const expectedCols = [
-                'id','titulo','descricao','preco_original','preco_promocional','desconto_percentual',
-                'link_afiliado','imagens_base64','categoria_principal','nichos','plataforma','avaliacao',
-                'vendas','data_inicio_promocao','data_fim_promocao','data_publicacao','status'
-            ];
-
-            // Inspeciona colunas existentes na tabela encontrada
-            let existingCols = [];
-            try {
-                const pragma = db.exec(`PRAGMA table_info('${foundTable}')`);
-                if (pragma && pragma.length > 0) {
-                    // pragma[0].values: cada entrada [cid, name, type, notnull, dflt_value, pk]
-                    existingCols = pragma[0].values.map(r => r[1]);
-                }
-            } catch (pErr) {
-                console.warn('PRAGMA table_info falhou. Tentando prosseguir.', pErr);
-            }
+            // Tabela de imagens: o modal busca as imagens completas no worker ao abrir
+            ProductRenderer.setImageSource(sqlite ? (productId) => this.productsLoader.images(productId) : null);
 
-            const colsToSelect = expectedCols.filter(c => existingCols.length === 0 ? true : existingCols.includes(c));
-            if (colsToSelect.length === 0) {
-                throw new Error(`Nenhuma coluna esperada encontrada em ${foundTable}. Verifique o esquema do banco de dados.`);
-            }
+            this.applyLifecycle(true);
+            this.notifyFavoriteChanges();
+            if (DataReport.isEnabled()) DataReport.show({ products, results });
 
-            const query = `SELECT ${colsToSelect.join(', ')} FROM "${foundTable}"`;
-            const result = db.exec(query);
+            // Atualiza hora da última atualização
+            this.lastUpdateTime = new Date();
+            this.updateLastUpdateDisplay();
 
-            if (!result || result.length === 0) {
-                throw new Error('Consulta SQLite retornou vazia. Verifique o conteúdo do banco de dados.');
+            const counts = results.map(result => `${result.source.id}: ${result.error ? 'falhou' : result.count}`).join(', ');
+            console.log(`Loaded ${this.catalog.length} products (${counts}), ${this.products.length} live`);
+        } catch (error) {
+            console.error('Error loading products:', error);
+            if (error.code === 'not-found') {
+                this.showError(`Arquivo de dados não encontrado. Foram tentados: ${DataSources.SOURCES.map(source => source.url).join(', ')}`);
+            } else {
+                this.showError('Erro ao carregar produtos. Verifique se as fontes de dados configuradas em js/data-sources.js estão presentes e acessíveis.');
             }
+            // Mantém produtos vazios para evitar comportamento inesperado
+            this.catalog = [];
+            this.filtersManager.setSqlQuery(null);
+            ProductRenderer.setImageSource(null);
+            this.applyLifecycle(true);
+            this.lastUpdateTime = null;
+            this.updateLastUpdateDisplay();
+        }
+    }
+    
+    /**
+     * Split the catalog by promotion window/status and show only live products.
+     * Schedules itself again for the next start or end of a promotion.
+     * @param {boolean} force - Re-render even if the live set did not change
+     */
+    applyLifecycle(force = false) {
+        const now = new Date();
+        const { live, scheduled, expired, recentlyExpired, drafts } = PromotionLifecycle.partition(this.catalog, now);
+
+        // Evita re-renderizar (e perder a página carregada) quando nada mudou
+        const signature = `${live.map(p => p.id).join(',')}|${recentlyExpired.map(p => p.id).join(',')}`;
+        const changed = signature !== this.lifecycleSignature;
+        this.lifecycleSignature = signature;
+
+        this.products = live;
+        this.recentlyExpired = recentlyExpired;
+        if (force || changed) {
+            // Mesmo item em várias lojas vira um só card na hora de exibir (ProductGrouping.collapse);
+            // filtros, contagens e recomendações continuam vendo todas as ofertas
+            ProductGrouping.group(this.products);
+            Recommendations.setProducts(this.products);
+            this.filtersManager.setProducts(this.products);
+            this.renderRecentlyExpired();
+            this.renderFavorites();
+            ProductComparison.render();
+        }
 
-            const cols = result[0].columns;
-            const values = result[0].values;
+        if (typeof Logger !== 'undefined') {
+            Logger.info('Ciclo de vida das promoções aplicado', {
+                live: live.length,
+                scheduled: scheduled.length,
+                expired: expired.length,
+                drafts: drafts.length
+            });
+        }
 
-            console.info(`Colunas carregadas do SQLite (${foundTable}):`, cols);
-            const missing = expectedCols.filter(c => !cols.includes(c));
-            if (missing.length) console.info('Colunas ausentes (não obrigatórias):', missing);
+        this.scheduleLifecycleTransition(now);
+    }
 
-            // Map rows to product objects and normalize fields
-            this.products = values.map(row => {
-                const obj = {};
-                cols.forEach((c, i) => obj[c] = row[i]);
+    /**
+     * Schedule applyLifecycle for the exact moment the next offer starts or expires
+     * @param {Date} now - Reference date
+     */
+    scheduleLifecycleTransition(now = new Date()) {
+        if (this.lifecycleTimer) {
+            clearTimeout(this.lifecycleTimer);
+            this.lifecycleTimer = null;
+        }
 
-                // Normalizações (mesma forma esperada pela aplicação)
-                obj.id = ('id' in obj) ? String(obj.id) : '';
-                if (!obj.id && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { field: 'id', row: row });
-                
-                obj.titulo = obj.titulo || '';
-                if (!obj.titulo && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'titulo' });
-
-                obj.descricao = obj.descricao || '';
-                if (!obj.descricao && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'descricao' });
-
-                obj.link_afiliado = obj.link_afiliado || '';
-                if (!obj.link_afiliado && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'link_afiliado' });
-
-                obj.categoria_principal = obj.categoria_principal || 'Outros';
-                obj.plataforma = obj.plataforma || '';
-                if (!obj.plataforma && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'plataforma' });
-
-                obj.status = obj.status || '';
-
-                obj.preco_original = ('preco_original' in obj && obj.preco_original !== null) ? Number(obj.preco_original) : 0;
-                obj.preco_promocional = ('preco_promocional' in obj && obj.preco_promocional !== null) ? Number(obj.preco_promocional) : 0;
-                if (!obj.preco_promocional && typeof Logger !== 'undefined') Logger.debug('Campo ausente ou zero ao normalizar produto', { id: obj.id, field: 'preco_promocional' });
-
-                obj.desconto_percentual = ('desconto_percentual' in obj && obj.desconto_percentual !== null) ? Number(obj.desconto_percentual) : 0;
-                obj.avaliacao = ('avaliacao' in obj && obj.avaliacao !== null) ? Number(obj.avaliacao) : 0;
-                obj.vendas = ('vendas' in obj && obj.vendas !== null) ? Number(obj.vendas) : 0;
-
-                // Imagens -> aceitar JSON array, pipe/comma-separated, URL, data URI ou base64 puro
-                let imagesArr = [];
-                if ('imagens_base64' in obj && obj.imagens_base64) {
-                    try {
-                        if (typeof obj.imagens_base64 === 'string') {
-                            const trimmed = obj.imagens_base64.trim();
-                            // tenta JSON
-                            if ((trimmed.startsWith('[') && trimmed.endsWith(']')) || trimmed.startsWith('{"')) {
-                                const parsed = JSON.parse(trimmed);
-                                imagesArr = Array.isArray(parsed) ? parsed : [];
-                            } else {
-                                // fallback em separadores
-                                imagesArr = trimmed.includes('|') ? trimmed.split('|') : (trimmed.includes(',') ? trimmed.split(',') : [trimmed]);
-                            }
-                        } else if (Array.isArray(obj.imagens_base64)) {
-                            imagesArr = obj.imagens_base64;
-                        } else {
-                            imagesArr = [String(obj.imagens_base64)];
-                        }
-                    } catch (e) {
-                        const s = String(obj.imagens_base64);
-                        imagesArr = s.includes('|') ? s.split('|') : (s.includes(',') ? s.split(',') : [s]);
-                    }
-                }
-                obj.imagens_base64 = imagesArr.map(s => String(s).trim()).filter(Boolean);
-                if (obj.imagens_base64.length === 0 && typeof Logger !== 'undefined') Logger.debug('Produto sem imagens', { id: obj.id });
-
-                // manter compatibilidade com 'imagens'
-                obj.imagens = obj.imagens_base64.slice();
-
-                // Nichos -> array
-                if ('nichos' in obj && obj.nichos) {
-                    if (Array.isArray(obj.nichos)) {
-                        obj.nichos = obj.nichos.map(n => String(n).trim()).filter(Boolean);
-                    } else {
-                        obj.nichos = String(obj.nichos).split(',').map(n => n.trim()).filter(Boolean);
-                    }
-                } else {
-                    obj.nichos = [];
-                    if (typeof Logger !== 'undefined') Logger.debug('Produto sem nichos', { id: obj.id });
-                }
+        const next = PromotionLifecycle.getNextTransition(this.catalog, now);
+        if (!next) return;
 
-                // Datas
-                ['data_inicio_promocao', 'data_fim_promocao', 'data_publicacao'].forEach(k => {
-                    if (k in obj) {
-                        obj[k] = obj[k] ? new Date(obj[k]) : null;
-                    } else {
-                        obj[k] = null;
-                    }
-                });
+        // setTimeout aceita no máximo ~24,8 dias; acima disso reagenda no meio do caminho
+        const MAX_DELAY = 2147483647;
+        const delay = Math.min(next.getTime() - now.getTime() + 50, MAX_DELAY);
+        this.lifecycleTimer = setTimeout(() => {
+            this.lifecycleTimer = null;
+            this.applyLifecycle();
+        }, delay);
+    }
 
-                return obj;
-            });
+    /**
+     * Render the greyed-out "recently expired" section when the toggle is on
+     */
+    renderRecentlyExpired() {
+        const section = document.getElementById('encerradas');
+        if (!section) return;
+
+        const visible = this.showRecentlyExpired && this.recentlyExpired.length > 0;
+        section.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            ProductRenderer.renderProductGrid(this.recentlyExpired, 'encerradas-grid');
+        }
+    }
 
-            this.filtersManager.setProducts(this.products);
+    /**
+     * Show or hide recently expired offers
+     * @param {boolean} show - Whether to show the section
+     */
+    toggleRecentlyExpired(show) {
+        this.showRecentlyExpired = Boolean(show);
+        this.renderRecentlyExpired();
+        if (this.showRecentlyExpired && this.recentlyExpired.length === 0) {
+            Utils.showNotification('Nenhuma oferta encerrada recentemente', 'info', 2000);
+        }
+    }
 
-            // Atualiza hora da última atualização
-            this.lastUpdateTime = new Date();
-            this.updateLastUpdateDisplay();
+    /**
+     * Render the "Meus Favoritos" section (hidden when there are no favorites)
+     * and the header badge
+     */
+    renderFavorites() {
+        this.updateFavoritesBadge();
 
-            console.log(`Loaded ${this.products.length} products from SQLite (file: ${usedPath}, table: ${foundTable})`);
-        } catch (error) {
-            console.error('Error loading products:', error);
-            this.showError('Erro ao carregar produtos do banco de dados SQLite. Verifique se o arquivo e a tabela "produtos" estão presentes e acessíveis.');
-            // Mantém produtos vazios para evitar comportamento inesperado
-            this.products = [];
-            this.filtersManager.setProducts(this.products);
-            this.lastUpdateTime = null;
-            this.updateLastUpdateDisplay();
+        const section = document.getElementById('favoritos');
+        if (!section) return;
+
+        const favorites = FavoritesStore.ids()
+            .map(id => this.catalog.find(p => p.id === id))
+            .filter(Boolean);
+
+        section.style.display = favorites.length ? 'block' : 'none';
+        if (favorites.length) {
+            ProductRenderer.renderProductGrid(favorites, 'favoritos-grid', { countdown: true });
         }
     }
-    
+
+    /**
+     * Update the favorites count badge in the header
+     */
+    updateFavoritesBadge() {
+        const count = FavoritesStore.count();
+        const badge = document.getElementById('favorites-count');
+        if (badge) {
+            badge.textContent = count;
+            badge.hidden = count === 0;
+        }
+
+        const link = document.getElementById('favorites-link');
+        if (link) {
+            link.setAttribute('aria-label', count ? `Meus Favoritos (${count})` : 'Meus Favoritos');
+        }
+    }
+
+    /**
+     * Refresh everything that depends on the favorites list
+     */
+    handleFavoritesChange() {
+        this.renderFavorites();
+
+        if (this.filtersManager.currentFilters.favorites) {
+            this.filtersManager.currentPage = 1;
+            this.filtersManager.applyFilters();
+        }
+    }
+
+    /**
+     * Notify price changes and ended promotions of favorites since the last visit
+     */
+    notifyFavoriteChanges() {
+        const changes = FavoritesStore.checkChanges(this.catalog);
+        if (changes.length === 0) return;
+
+        let message;
+        if (changes.length === 1) {
+            const { type, product, previousPrice } = changes[0];
+            message = type === 'ended'
+                ? `A oferta "${product.titulo}" dos seus favoritos foi encerrada.`
+                : `"${product.titulo}" mudou de preço: de ${Utils.formatCurrency(previousPrice)} para ${Utils.formatCurrency(product.preco_promocional)}.`;
+        } else {
+            const priceChanges = changes.filter(change => change.type === 'price').length;
+            const ended = changes.length - priceChanges;
+            const parts = [];
+            if (priceChanges) parts.push(`${priceChanges} com novo preço`);
+            if (ended) parts.push(`${ended} ${ended === 1 ? 'encerrada' : 'encerradas'}`);
+            message = `Seus favoritos mudaram desde a última visita: ${parts.join(' e ')}.`;
+        }
+
+        Utils.showNotification(message, 'info', 8000);
+        if (typeof Logger !== 'undefined') Logger.info('Mudanças em favoritos', { changes: changes.map(c => ({ id: c.product.id, type: c.type })) });
+    }
+
     /**
      * Initialize event listeners
      */
@@ -297,25 +322,66 @@ class PromotionsApp {
         // Product card click handlers (for modal)
         document.addEventListener('click', (e) => {
             const productCard = e.target.closest('.product-card');
-            if (productCard && !e.target.closest('a')) {
+            if (productCard && !e.target.closest('a, button, input, label')) {
                 const productId = productCard.dataset.productId;
-                const product = this.products.find(p => p.id === productId);
+                const product = this.catalog.find(p => p.id === productId);
                 if (product) {
                     ProductRenderer.showProductModal(product);
                 }
             }
         });
         
+        // Favorite toggles (captura: o conteúdo do modal interrompe a propagação de cliques)
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.favorite-toggle');
+            if (!toggle) return;
+            const product = this.catalog.find(p => p.id === toggle.dataset.favoriteId);
+            if (product) {
+                const favorite = FavoritesStore.toggle(product);
+                Utils.showNotification(favorite ? 'Adicionado aos favoritos' : 'Removido dos favoritos', 'success', 2000);
+            }
+        }, true);
+        
+        document.addEventListener('favorites:change', () => this.handleFavoritesChange());
+        
+        // Favoritos alterados em outra aba
+        window.addEventListener('storage', (e) => {
+            if (e.key === FavoritesStore.STORAGE_KEY) {
+                FavoritesStore.updateToggles();
+                this.handleFavoritesChange();
+            }
+        });
+        
+        // Header favorites link (sem favoritos a seção fica oculta)
+        const favoritesLink = document.getElementById('favorites-link');
+        if (favoritesLink) {
+            favoritesLink.addEventListener('click', () => {
+                if (FavoritesStore.count() === 0) {
+                    Utils.showNotification('Você ainda não tem favoritos. Toque no coração de uma oferta para salvá-la.', 'info', 4000);
+                }
+            });
+        }
+        
+        // Recently expired toggle
+        const expiredToggle = document.getElementById('show-expired-toggle');
+        if (expiredToggle) {
+            expiredToggle.addEventListener('change', (e) => {
+                this.toggleRecentlyExpired(e.target.checked);
+            });
+        }
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            // Escape key to close modals
+            // Escape key to close modals (comparison table first, it opens over the rest)
             if (e.key === 'Escape') {
-                const modal = document.querySelector('.fixed.inset-0');
-                if (modal) {
-                    modal.remove();
+                if (!ProductComparison.closeTable()) {
+                    ProductRenderer.closeProductModal();
                 }
             }
             
+            // Arrow keys browse the images of the open product
+            if (ImageGallery.handleKeydown(e)) return;
+            
             // Ctrl/Cmd + K to focus search
             if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
                 e.preventDefault();
@@ -340,6 +406,8 @@ class PromotionsApp {
         document.addEventListener('visibilitychange', () => {
             if (document.visibilityState === 'visible') {
                 this.trackPageView();
+                // Timers ficam atrasados em abas em segundo plano; reavalia as janelas ao voltar
+                this.applyLifecycle();
             }
         });
     }
@@ -484,6 +552,40 @@ class PromotionsApp {
         }
     }
     
+    /**
+     * Show the worker progress in the loading overlay
+     * @param {Object} progress - { stage: 'download'|'open'|'parse', loaded, total }
+     */
+    updateLoadingProgress({ stage, loaded, total }) {
+        const labels = {
+            download: 'Baixando produtos',
+            open: 'Abrindo banco de dados',
+            parse: 'Processando produtos'
+        };
+        const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : null;
+
+        let detail = '';
+        if (stage === 'download') {
+            const mb = (bytes) => (bytes / 1048576).toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+            detail = total > 0 ? ` (${mb(loaded)} de ${mb(total)} MB)` : ` (${mb(loaded)} MB)`;
+        } else if (stage === 'parse') {
+            detail = ` (${Utils.formatNumber(loaded)} de ${Utils.formatNumber(total)})`;
+        }
+
+        const status = document.getElementById('loading-status');
+        if (status) {
+            status.textContent = `${labels[stage] || 'Carregando produtos'}...${detail}`;
+        }
+
+        const bar = document.getElementById('loading-progress');
+        if (bar) {
+            // Sem tamanho conhecido não há porcentagem: a barra some e fica só o texto
+            bar.style.display = percent === null ? 'none' : 'block';
+            bar.setAttribute('aria-valuenow', percent === null ? 0 : percent);
+            bar.firstElementChild.style.width = `${percent || 0}%`;
+        }
+    }
+    
     /**
      * Show error message to user
      * @param {string} message - Error message
@@ -531,7 +633,7 @@ class PromotionsApp {
     
     /**
      * Filter products by platform
-     * @param {string} platform - Platform name
+     * @param {string|Array<string>} platform - Platform name(s)
      */
     filterByPlatform(platform) {
         this.filtersManager.updateFilter('platform', platform);
@@ -539,7 +641,7 @@ class PromotionsApp {
     
     /**
      * Filter products by category
-     * @param {string} category - Category name
+     * @param {string|Array<string>} category - Category name(s)
      */
     filterByCategory(category) {
         this.filtersManager.updateFilter('category', category);
@@ -604,38 +706,6 @@ class PromotionsApp {
     }
 }
 
-/*
-  Helper: garante que initSqlJs esteja disponível e inicializa-o,
-  apontando locateFile para o .wasm no CDN (evita erro "initSqlJs não encontrado").
-*/
-async function ensureInitSqlJs() {
-	// Versão do sql.js a usar no CDN
-	const SQLJS_VERSION = '1.6.2';
-	const wasmUrl = `https://cdnjs.cloudflare.com/ajax/libs/sql.js/${SQLJS_VERSION}/sql-wasm.wasm`;
-	const scriptUrl = `https://cdnjs.cloudflare.com/ajax/libs/sql.js/${SQLJS_VERSION}/sql-wasm.js`;
-
-	// Se já estiver presente, retorna a instância
-	if (typeof initSqlJs === 'function') {
-		return initSqlJs({ locateFile: () => wasmUrl });
-	}
-
-	// Carrega o script dinamicamente e aguarda
-	await new Promise((resolve, reject) => {
-		const s = document.createElement('script');
-		s.src = scriptUrl;
-		s.async = true;
-		s.onload = () => resolve();
-		s.onerror = (e) => reject(new Error('Falha ao carregar sql-wasm.js do CDN: ' + e));
-		document.head.appendChild(s);
-	});
-
-	// Depois de carregado, inicializa apontando para o .wasm no CDN
-	if (typeof initSqlJs !== 'function') {
-		throw new Error('initSqlJs não está disponível após o carregamento do script sql-wasm.js.');
-	}
-	return initSqlJs({ locateFile: () => wasmUrl });
-}
-
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Inicializa Logger primeiro
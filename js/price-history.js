@@ -0,0 +1,254 @@
+// Price history per product: optional historico_precos table in the DB plus
+// daily snapshots of preco_promocional kept in IndexedDB between visits
+
+class PriceHistory {
+    /**
+     * IndexedDB database name
+     * @returns {string} Database name
+     */
+    static get DB_NAME() {
+        return 'cacador-ofertas';
+    }
+
+    /**
+     * IndexedDB object store with the snapshots ({ key: 'id|YYYY-MM-DD', id, day, price })
+     * @returns {string} Store name
+     */
+    static get STORE_NAME() {
+        return 'historico_precos';
+    }
+
+    /**
+     * Days considered by the badge and the sparkline
+     * @returns {number} Days
+     */
+    static get WINDOW_DAYS() {
+        return 30;
+    }
+
+    /**
+     * Days kept in IndexedDB before old snapshots are deleted
+     * @returns {number} Days
+     */
+    static get RETENTION_DAYS() {
+        return 90;
+    }
+
+    /**
+     * Local calendar day of a date
+     * @param {Date} date - Date
+     * @returns {string} YYYY-MM-DD
+     */
+    static dayKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Day key N days before a date
+     * @param {Date} now - Reference date
+     * @param {number} days - Days back
+     * @returns {string} YYYY-MM-DD
+     */
+    static daysAgo(now, days) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - days);
+        return this.dayKey(date);
+    }
+
+    /**
+     * Add price points to the in-memory history (one price per product per day; later entries win)
+     * @param {Array} entries - [{ id, day, price }] or [{ id, date, price }]
+     */
+    static addEntries(entries) {
+        entries.forEach(entry => {
+            const price = Number(entry.price);
+            const date = entry.day ? null : PromotionLifecycle.parseDate(entry.date);
+            const day = entry.day || (date ? this.dayKey(date) : null);
+            if (!entry.id || !day || !isFinite(price) || price <= 0) return;
+
+            const id = String(entry.id);
+            if (!this.histories.has(id)) this.histories.set(id, new Map());
+            this.histories.get(id).set(day, price);
+        });
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB indisponível'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Snapshot today's prices in IndexedDB and load the stored history.
+     * Never rejects: without IndexedDB only the current prices (and the DB table) are used.
+     * @param {Array} products - Loaded products
+     * @param {Date} now - Reference date
+     * @returns {Promise<void>}
+     */
+    static async record(products, now = new Date()) {
+        const day = this.dayKey(now);
+        const snapshots = products
+            .filter(product => product.id && product.preco_promocional > 0)
+            .map(product => ({ key: `${product.id}|${day}`, id: String(product.id), day, price: product.preco_promocional }));
+
+        try {
+            const db = await this.openDatabase();
+            const cutoff = this.daysAgo(now, this.RETENTION_DAYS);
+
+            const stored = await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE_NAME, 'readwrite');
+                const store = tx.objectStore(this.STORE_NAME);
+                const kept = [];
+
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    request.result.forEach(record => {
+                        if (record.day < cutoff) {
+                            store.delete(record.key);
+                        } else {
+                            kept.push(record);
+                        }
+                    });
+                    snapshots.forEach(snapshot => store.put(snapshot));
+                };
+
+                tx.oncomplete = () => resolve(kept);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+            db.close();
+
+            this.addEntries(stored);
+            if (typeof Logger !== 'undefined') Logger.info('Histórico de preços carregado', { stored: stored.length, recorded: snapshots.length });
+        } catch (error) {
+            if (typeof Logger !== 'undefined') Logger.warn('Histórico de preços indisponível', { error: String(error) });
+        }
+
+        // Preço atual vale como ponto de hoje
+        this.addEntries(snapshots);
+    }
+
+    /**
+     * Price points of a product in the last WINDOW_DAYS days, oldest first
+     * @param {string} id - Product ID
+     * @param {Date} now - Reference date
+     * @returns {Array} [{ day, price }]
+     */
+    static getHistory(id, now = new Date()) {
+        const days = this.histories.get(String(id));
+        if (!days) return [];
+
+        const from = this.daysAgo(now, this.WINDOW_DAYS);
+        return Array.from(days, ([day, price]) => ({ day, price }))
+            .filter(point => point.day >= from)
+            .sort((a, b) => a.day.localeCompare(b.day));
+    }
+
+    /**
+     * Compare the current price with the previous days
+     * @param {Object} product - Product data
+     * @param {Date} now - Reference date
+     * @returns {string|null} 'lowest' (lowest in 30 days, below an earlier price),
+     *                        'up' (higher than the last recorded price) or null
+     */
+    static getBadge(product, now = new Date()) {
+        const price = product.preco_promocional;
+        if (!(price > 0)) return null;
+
+        const today = this.dayKey(now);
+        const previous = this.getHistory(product.id, now).filter(point => point.day < today);
+        if (previous.length === 0) return null;
+
+        const prices = previous.map(point => point.price);
+        if (price - previous[previous.length - 1].price >= 0.01) return 'up';
+        if (price <= Math.min(...prices) && Math.max(...prices) - price >= 0.01) return 'lowest';
+        return null;
+    }
+
+    /**
+     * Render the card badge
+     * @param {Object} product - Product data
+     * @returns {string} HTML string (empty without a badge)
+     */
+    static renderBadge(product) {
+        const badge = this.getBadge(product);
+        if (badge === 'lowest') {
+            return `
+                <span class="price-history-badge price-history-lowest">
+                    <i data-lucide="trending-down" class="w-3 h-3"></i>
+                    Menor preço em ${this.WINDOW_DAYS} dias
+                </span>
+            `;
+        }
+        if (badge === 'up') {
+            return `
+                <span class="price-history-badge price-history-up">
+                    <i data-lucide="trending-up" class="w-3 h-3"></i>
+                    Preço subiu
+                </span>
+            `;
+        }
+        return '';
+    }
+
+    /**
+     * Render an inline SVG sparkline of the last WINDOW_DAYS days
+     * @param {Object} product - Product data
+     * @param {Object} options - { width, height }
+     * @returns {string} HTML string (empty with fewer than two points)
+     */
+    static renderSparkline(product, { width = 240, height = 48 } = {}) {
+        const history = this.getHistory(product.id);
+        if (history.length < 2) return '';
+
+        const prices = history.map(point => point.price);
+        const min = Math.min(...prices);
+        const max = Math.max(...prices);
+        const range = max - min || 1;
+        const padding = 4;
+
+        // Eixo x proporcional aos dias, para lacunas entre visitas não distorcerem a linha
+        const first = PromotionLifecycle.parseDate(history[0].day).getTime();
+        const span = PromotionLifecycle.parseDate(history[history.length - 1].day).getTime() - first || 1;
+        const points = history.map(point => {
+            const x = padding + ((PromotionLifecycle.parseDate(point.day).getTime() - first) / span) * (width - padding * 2);
+            const y = padding + (1 - (point.price - min) / range) * (height - padding * 2);
+            return [x.toFixed(1), y.toFixed(1)];
+        });
+        const [lastX, lastY] = points[points.length - 1];
+        const label = `Histórico de preço nos últimos ${this.WINDOW_DAYS} dias: entre ${Utils.formatCurrency(min)} e ${Utils.formatCurrency(max)}`;
+
+        return `
+            <div class="price-history">
+                <svg class="price-history-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${label}">
+                    <polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"></polyline>
+                    <circle cx="${lastX}" cy="${lastY}" r="3" fill="currentColor"></circle>
+                </svg>
+                <div class="text-xs text-gray-500">
+                    ${this.WINDOW_DAYS} dias: menor ${Utils.formatCurrency(min)} · maior ${Utils.formatCurrency(max)}
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Product ID -> Map(day -> price)
+PriceHistory.histories = new Map();
+
+// Export for use in other modules
+window.PriceHistory = PriceHistory;
@@ -0,0 +1,239 @@
+// Groups the same item listed on several platforms into a single card (cheapest offer first)
+
+class ProductGrouping {
+    /**
+     * Title similarity (Jaccard of stemmed words) from which two offers on
+     * different platforms are considered the same item
+     * @returns {number} Similarity (0-1)
+     */
+    static get TITLE_SIMILARITY() {
+        return 0.6;
+    }
+
+    /**
+     * Optional identifier columns; equal values always mean the same item
+     * @returns {Array<string>} Column names
+     */
+    static get ID_FIELDS() {
+        return ['ean', 'sku'];
+    }
+
+    /**
+     * Cluster near-duplicate products and keep one representative per cluster
+     * (the cheapest offer). The other offers are available through getOffers(),
+     * and collapse() picks one card per cluster from any filtered list.
+     * @param {Array} products - Products to group
+     * @returns {Array} Representatives, in the original order
+     */
+    static group(products) {
+        const parent = products.map((_, index) => index);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        // Plataformas de cada grupo (pela raiz), para não juntar duas ofertas da mesma loja por título
+        const platforms = products.map(product => new Set(product.plataforma ? [product.plataforma] : []));
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) return;
+            parent[rootB] = rootA;
+            platforms[rootB].forEach(platform => platforms[rootA].add(platform));
+        };
+
+        // Mesmo EAN/SKU: mesmo item, independente da plataforma
+        this.ID_FIELDS.forEach(field => {
+            const seen = new Map();
+            products.forEach((product, index) => {
+                const value = product[field] ? String(product[field]).trim().toLowerCase() : '';
+                if (!value) return;
+                if (seen.has(value)) union(seen.get(value), index);
+                else seen.set(value, index);
+            });
+        });
+
+        // Títulos quase iguais em plataformas diferentes (só pares candidatos, ver getTitleCandidates).
+        // A união é transitiva: A ≈ B e B ≈ C juntariam A e C da mesma loja, então grupos que já têm
+        // alguma plataforma em comum não se juntam (só EAN/SKU faz isso); pares mais parecidos primeiro
+        const tokens = products.map(product => Recommendations.getTitleTokens(product));
+        this.getTitleCandidates(tokens)
+            .filter(([i, j]) => products[i].plataforma && products[j].plataforma && products[i].plataforma !== products[j].plataforma)
+            .map(([i, j]) => ({ i, j, similarity: Recommendations.jaccard(tokens[i], tokens[j]) }))
+            .filter(pair => pair.similarity >= this.TITLE_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity)
+            .forEach(({ i, j }) => {
+                const rootA = find(i);
+                const rootB = find(j);
+                if (rootA === rootB) return;
+                const shared = Array.from(platforms[rootB]).some(platform => platforms[rootA].has(platform));
+                if (!shared) union(rootA, rootB);
+            });
+
+        const clusters = new Map();
+        products.forEach((product, index) => {
+            const root = find(index);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(product);
+        });
+
+        this.offers = new Map();
+        const representatives = new Set();
+        clusters.forEach(members => {
+            const sorted = members.slice().sort((a, b) => this.comparePrice(a, b));
+            representatives.add(sorted[0]);
+            // Todas as ofertas apontam para o grupo (o modal de qualquer uma lista as lojas)
+            if (sorted.length > 1) sorted.forEach(member => this.offers.set(member.id, sorted));
+        });
+
+        const grouped = products.filter(product => representatives.has(product));
+        if (typeof Logger !== 'undefined') Logger.info('Produtos agrupados entre lojas', { products: products.length, cards: grouped.length });
+        return grouped;
+    }
+
+    /**
+     * Pairs of titles that may reach TITLE_SIMILARITY, without comparing every pair:
+     * words are ordered rarest first and only the first |x| - ceil(t·|x|) + 1 words of each
+     * title are indexed (prefix filter). Two titles with Jaccard >= t always share one of
+     * those words, so no match is lost, and common words ("kit", "preto") rarely enter the index.
+     * @param {Array<Set<string>>} tokens - Title tokens of each product
+     * @returns {Array<Array<number>>} Candidate pairs [i, j] with i < j
+     */
+    static getTitleCandidates(tokens) {
+        const frequency = new Map();
+        tokens.forEach(set => set.forEach(token => frequency.set(token, (frequency.get(token) || 0) + 1)));
+
+        const index = new Map(); // palavra -> produtos já vistos com ela no prefixo
+        const pairs = [];
+        tokens.forEach((set, j) => {
+            const ordered = Array.from(set).sort((a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : a > b ? 1 : 0));
+            const prefix = ordered.slice(0, ordered.length - Math.ceil(this.TITLE_SIMILARITY * ordered.length) + 1);
+            const seen = new Set();
+            prefix.forEach(token => {
+                const list = index.get(token);
+                if (list) {
+                    list.forEach(i => {
+                        if (!seen.has(i)) {
+                            seen.add(i);
+                            pairs.push([i, j]);
+                        }
+                    });
+                    list.push(j);
+                } else {
+                    index.set(token, [j]);
+                }
+            });
+        });
+        return pairs;
+    }
+
+    /**
+     * Keep one card per group in a list of products (e.g. the filtered listing): the cheapest
+     * offer of the group present in the list, at the position of the group's first offer.
+     * Filters and counts run on every offer, so an Amazon offer grouped under a cheaper
+     * Shopee one still shows up when filtering by Amazon.
+     * @param {Array} products - Products, in display order
+     * @returns {Array} Products with one offer per group
+     */
+    static collapse(products) {
+        const best = new Map(); // grupo (lista de ofertas ou o próprio produto) -> oferta mais barata na lista
+        const keyOf = (product) => (this.offers && this.offers.get(product.id)) || product;
+
+        products.forEach(product => {
+            const key = keyOf(product);
+            const current = best.get(key);
+            if (!current || this.comparePrice(product, current) < 0) best.set(key, product);
+        });
+
+        const collapsed = [];
+        const added = new Set();
+        products.forEach(product => {
+            const key = keyOf(product);
+            if (added.has(key)) return;
+            added.add(key);
+            collapsed.push(best.get(key));
+        });
+        return collapsed;
+    }
+
+    /**
+     * Order offers by price (offers without price last), then by discount
+     * @param {Object} a - First product
+     * @param {Object} b - Second product
+     * @returns {number} Sort order
+     */
+    static comparePrice(a, b) {
+        const priceA = a.preco_promocional > 0 ? a.preco_promocional : Infinity;
+        const priceB = b.preco_promocional > 0 ? b.preco_promocional : Infinity;
+        if (priceA !== priceB) return priceA < priceB ? -1 : 1;
+        return (b.desconto_percentual || 0) - (a.desconto_percentual || 0);
+    }
+
+    /**
+     * All offers of a product's group, cheapest first
+     * @param {Object} product - Product data
+     * @returns {Array} Offers (just the product itself when it has no duplicates)
+     */
+    static getOffers(product) {
+        return (this.offers && this.offers.get(product.id)) || [product];
+    }
+
+    /**
+     * Render the "+N lojas" indicator for a card
+     * @param {Object} product - Product data
+     * @returns {string} HTML string (empty for single offers)
+     */
+    static renderStoresBadge(product) {
+        const others = this.getOffers(product).length - 1;
+        if (others < 1) return '';
+        return `
+            <div class="stores-badge absolute top-10 right-2" title="Disponível em mais ${others} ${others === 1 ? 'loja' : 'lojas'}">
+                +${others} ${others === 1 ? 'loja' : 'lojas'}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the list of stores (price and affiliate link) for the product modal
+     * @param {Object} product - Product data
+     * @returns {string} HTML string (empty for single offers)
+     */
+    static renderStoreList(product) {
+        const offers = this.getOffers(product);
+        if (offers.length < 2) return '';
+
+        return `
+            <div class="mb-4">
+                <h3 class="font-semibold text-gray-800 mb-2">Preços em ${offers.length} lojas</h3>
+                <ul class="space-y-2">
+                    ${offers.map((offer, index) => `
+                        <li class="store-offer ${index === 0 ? 'store-offer-best' : ''}">
+                            <span class="platform-badge ${Utils.getPlatformColorClass(offer.plataforma)} text-white px-2 py-1 rounded text-xs font-medium">
+                                ${Utils.sanitizeHtml(offer.plataforma)}
+                            </span>
+                            <span class="flex-1">
+                                <span class="font-bold text-gray-800">${offer.preco_promocional > 0 ? Utils.formatCurrency(offer.preco_promocional) : 'Preço indisponível'}</span>
+                                ${index === 0 && offer.preco_promocional > 0 ? '<span class="text-xs text-green-700 font-medium ml-1">menor preço</span>' : ''}
+                            </span>
+                            ${offer.link_afiliado ? `
+                                <a href="${AffiliateLinks.build(offer, 'storeList')}" target="_blank" rel="noopener noreferrer" class="text-sm text-blue-600 hover:underline"
+                                   onclick="Utils.trackClick('${offer.id}', '${offer.plataforma}', 'store_list_click')">
+                                    Ver Oferta
+                                    <i data-lucide="external-link" class="w-3 h-3 inline"></i>
+                                </a>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+}
+
+// Product ID -> offers in its group (cheapest first); only products with duplicates
+ProductGrouping.offers = new Map();
+
+// Export for use in other modules
+window.ProductGrouping = ProductGrouping;
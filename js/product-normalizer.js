@@ -0,0 +1,155 @@
+// Product normalizer: converte linhas cruas (SQLite, CSV ou JSON) no formato de produto esperado pela aplicação
+
+class ProductNormalizer {
+    /**
+     * Normalize a raw product row (column name -> value)
+     * @param {Object} raw - Raw row as read from the data source
+     * @returns {Object} Normalized product
+     */
+    static normalize(raw) {
+        const obj = { ...raw };
+
+        // Normalizações (mesma forma esperada pela aplicação)
+        obj.id = ('id' in obj) ? String(obj.id) : '';
+        if (!obj.id && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { field: 'id', row: raw });
+
+        obj.titulo = obj.titulo || '';
+        if (!obj.titulo && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'titulo' });
+
+        obj.descricao = obj.descricao || '';
+        if (!obj.descricao && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'descricao' });
+
+        obj.link_afiliado = obj.link_afiliado || '';
+        if (!obj.link_afiliado && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'link_afiliado' });
+
+        obj.categoria_principal = obj.categoria_principal || 'Outros';
+        obj.plataforma = obj.plataforma || '';
+        if (!obj.plataforma && typeof Logger !== 'undefined') Logger.debug('Campo ausente ao normalizar produto', { id: obj.id, field: 'plataforma' });
+
+        obj.status = obj.status || '';
+
+        obj.preco_original = this.toNumber(obj.preco_original);
+        obj.preco_promocional = this.toNumber(obj.preco_promocional);
+        if (!obj.preco_promocional && typeof Logger !== 'undefined') Logger.debug('Campo ausente ou zero ao normalizar produto', { id: obj.id, field: 'preco_promocional' });
+
+        obj.desconto_percentual = this.toNumber(obj.desconto_percentual);
+        obj.avaliacao = this.toNumber(obj.avaliacao);
+        obj.vendas = this.toNumber(obj.vendas);
+        obj.total_avaliacoes = this.toNumber(obj.total_avaliacoes);
+
+        // Desconto não informado: calculado a partir dos preços
+        if (!obj.desconto_percentual && obj.preco_original > obj.preco_promocional && obj.preco_promocional > 0) {
+            obj.desconto_percentual = Math.round(((obj.preco_original - obj.preco_promocional) / obj.preco_original) * 100);
+        }
+
+        // Imagens -> aceitar JSON array, pipe/comma-separated, URL, data URI ou base64 puro
+        let imagesArr = [];
+        if ('imagens_base64' in obj && obj.imagens_base64) {
+            try {
+                if (typeof obj.imagens_base64 === 'string') {
+                    const trimmed = obj.imagens_base64.trim();
+                    // tenta JSON
+                    if ((trimmed.startsWith('[') && trimmed.endsWith(']')) || trimmed.startsWith('{"')) {
+                        const parsed = JSON.parse(trimmed);
+                        imagesArr = Array.isArray(parsed) ? parsed : [];
+                    } else {
+                        // fallback em separadores
+                        imagesArr = trimmed.includes('|') ? trimmed.split('|') : (trimmed.includes(',') ? trimmed.split(',') : [trimmed]);
+                    }
+                } else if (Array.isArray(obj.imagens_base64)) {
+                    imagesArr = obj.imagens_base64;
+                } else {
+                    imagesArr = [String(obj.imagens_base64)];
+                }
+            } catch (e) {
+                const s = String(obj.imagens_base64);
+                imagesArr = s.includes('|') ? s.split('|') : (s.includes(',') ? s.split(',') : [s]);
+            }
+        }
+        obj.imagens_base64 = imagesArr.map(s => String(s).trim()).filter(Boolean);
+        if (obj.imagens_base64.length === 0 && typeof Logger !== 'undefined') Logger.debug('Produto sem imagens', { id: obj.id });
+
+        // manter compatibilidade com 'imagens'
+        obj.imagens = obj.imagens_base64.slice();
+
+        // Miniatura opcional (cards); sem ela o card usa a primeira imagem
+        obj.miniatura = obj.miniatura ? String(obj.miniatura).trim() : '';
+
+        // Nichos -> array
+        if ('nichos' in obj && obj.nichos) {
+            if (Array.isArray(obj.nichos)) {
+                obj.nichos = obj.nichos.map(n => String(n).trim()).filter(Boolean);
+            } else {
+                obj.nichos = String(obj.nichos).split(',').map(n => n.trim()).filter(Boolean);
+            }
+        } else {
+            obj.nichos = [];
+            if (typeof Logger !== 'undefined') Logger.debug('Produto sem nichos', { id: obj.id });
+        }
+
+        // Datas (data_fim_promocao sem horário vale até o fim do dia)
+        ['data_inicio_promocao', 'data_fim_promocao', 'data_publicacao'].forEach(k => {
+            obj[k] = (k in obj) ? PromotionLifecycle.parseDate(obj[k], { endOfDay: k === 'data_fim_promocao' }) : null;
+        });
+
+        // Problemas de esquema (linhas com erro ficam ocultas; ver ProductSchema)
+        obj.problemas = typeof ProductSchema !== 'undefined' ? ProductSchema.validate(raw, obj) : [];
+
+        return obj;
+    }
+
+    /**
+     * Convert a numeric field; text from spreadsheets may use the Brazilian format ("R$ 1.299,90", "15%")
+     * @param {*} value - Raw value
+     * @returns {number} Number (0 when missing or invalid)
+     */
+    static toNumber(value) {
+        if (value === null || value === undefined || value === '') return 0;
+        const number = this.parseNumber(value);
+        return isNaN(number) ? 0 : number;
+    }
+
+    /**
+     * Parse a number in the Brazilian format: ',' is the decimal separator and '.' followed by
+     * exactly three digits separates thousands ("1.299" = 1299, "1.299,90" = 1299.9). A single '.'
+     * followed by other digit counts is a decimal point ("4.5"). Anything else ("1,299.90",
+     * "1.2.3", "0.125") is ambiguous and is not guessed (ProductSchema reports it as an error).
+     * @param {*} value - Raw value
+     * @returns {number} Number, or NaN when invalid or ambiguous
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return value;
+
+        const s = this.cleanNumber(value);
+        // Milhar nunca começa com zero: "0.125" não vira 125
+        const match = s.match(/^(-?)(\d+|[1-9]\d{0,2}(?:\.\d{3})+)(?:,(\d+))?$/);
+        if (match) {
+            return Number(`${match[1]}${match[2].replace(/\./g, '')}${match[3] !== undefined ? `.${match[3]}` : ''}`);
+        }
+        if (/^-?\d+\.(?:\d{1,2}|\d{4,})$/.test(s)) return Number(s);
+        return NaN;
+    }
+
+    /**
+     * Whether a value has a single '.' followed by exactly three digits ("4.125", "0.125"):
+     * parseNumber reads it as thousands, but it may be a decimal written with a point
+     * (ProductSchema rejects it when the thousands reading is out of the field's range)
+     * @param {*} value - Raw value
+     * @returns {boolean} True if the value is ambiguous
+     */
+    static isAmbiguousNumber(value) {
+        return typeof value !== 'number' && /^-?\d{1,3}\.\d{3}$/.test(this.cleanNumber(value));
+    }
+
+    /**
+     * Strip currency, percent sign and spaces from a numeric text
+     * @param {*} value - Raw value
+     * @returns {string} Text with digits, separators and sign only
+     */
+    static cleanNumber(value) {
+        return String(value === null || value === undefined ? '' : value).replace(/R\$|%|\s/g, '');
+    }
+}
+
+// Export for use in other modules
+window.ProductNormalizer = ProductNormalizer;
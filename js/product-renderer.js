@@ -1,31 +1,31 @@
 // Product Renderer for displaying products on the page
 
 class ProductRenderer {
+    /**
+     * Product count from which grids are virtualized (only the rows near the viewport stay in the DOM)
+     * @returns {number} Products
+     */
+    static get VIRTUALIZE_FROM() {
+        return 200;
+    }
+    
     /**
      * Render a single product card
      * @param {Object} product - Product data
+     * @param {Object} options - Render options ({ countdown: true } shows the deadline timer)
      * @returns {string} HTML string for product card
      */
-    static renderProduct(product) {
+    static renderProduct(product, options = {}) {
         if (typeof Logger !== 'undefined') Logger.debug('Renderizando produto', { id: product.id, titulo: product.titulo });
 
         const platformColorClass = Utils.getPlatformColorClass(product.plataforma);
 
-        // Escolhe primeira imagem válida entre imagens_base64 / imagens
-        const candidates = (product.imagens_base64 && product.imagens_base64.length) ? product.imagens_base64
-                        : (product.imagens && product.imagens.length) ? product.imagens
-                        : [];
-
-        let imageSrc = Utils.getPlaceholderImage(300, 200);
-        for (const c of candidates) {
-            const src = this.normalizeImageSrc(c);
-            if (src) {
-                imageSrc = src;
-                break;
-            }
-        }
+        // Miniatura carregada só quando o card se aproxima da tela (Utils.lazyLoadImages)
+        const placeholder = Utils.getPlaceholderImage(300, 200);
+        const imageSrc = this.getThumbnailSrc(product);
 
         const savings = (product.preco_original || 0) - (product.preco_promocional || 0);
+        const link = AffiliateLinks.build(product, 'card');
 
         // Generate rating stars
         const ratingStars = this.generateRatingStars(product.avaliacao || 0);
@@ -40,11 +40,11 @@ class ProductRenderer {
                 <!-- Image Container -->
                 <div class="relative">
                     <img 
-                        src="${imageSrc}" 
+                        src="${placeholder}" 
+                        ${imageSrc ? `data-src="${imageSrc}"` : ''}
                         alt="${Utils.sanitizeHtml(product.titulo || 'Produto')}"
-                        class="product-image w-full h-48 object-cover"
-                        loading="lazy"
-                        onerror="this.src='${Utils.getPlaceholderImage(300, 200)}'"
+                        class="product-image w-full h-48 object-cover${imageSrc ? ' lazy' : ''}"
+                        onerror="this.src='${placeholder}'"
                     >
                     
                     <!-- Discount Badge -->
@@ -61,6 +61,14 @@ class ProductRenderer {
                         </div>
                     ` : (typeof Logger !== 'undefined' ? (Logger.debug('Badge de plataforma omitida por valor ausente', { id: product.id }), '') : '')}
                     
+                    <!-- Other Stores -->
+                    ${ProductGrouping.renderStoresBadge(product)}
+                    
+                    <!-- Favorite Toggle -->
+                    <div class="absolute bottom-2 right-2">
+                        ${FavoritesStore.renderToggle(product, { variant: 'card' })}
+                    </div>
+                    
                     <!-- Niche Badges -->
                     ${nicheBadges ? `
                         <div class="niche-badges absolute bottom-2 left-2 flex flex-wrap gap-1">
@@ -71,6 +79,9 @@ class ProductRenderer {
                 
                 <!-- Content -->
                 <div class="product-content p-4">
+                    <!-- Countdown -->
+                    ${options.countdown && product.data_fim_promocao ? Countdown.render(product.data_fim_promocao, { variant: 'card' }) : ''}
+                    
                     <!-- Title -->
                     ${product.titulo ? `<h3 class="product-title font-semibold text-gray-800 mb-2 line-clamp-2 h-12">${Utils.sanitizeHtml(product.titulo)}</h3>`
                      : (typeof Logger !== 'undefined' ? (Logger.debug('Título omitido na renderização por valor ausente', { id: product.id }), '') : '')}
@@ -97,6 +108,7 @@ class ProductRenderer {
                                     Economia de ${Utils.formatCurrency(savings)}
                                 </div>
                             ` : ''}
+                            ${PriceHistory.renderBadge(product)}
                         </div>
                     ` : (typeof Logger !== 'undefined' ? (Logger.debug('Bloco de preço omitido por preco_promocional ausente/zero', { id: product.id, preco_promocional: product.preco_promocional }), '') : '')}
                     
@@ -115,14 +127,19 @@ class ProductRenderer {
                         </div>
                     ` : ''}
                     
+                    <!-- Compare -->
+                    <div class="mb-3">
+                        ${ProductComparison.renderToggle(product)}
+                    </div>
+                    
                     <!-- Action Button -->
                     <a 
-                        href="${product.link_afiliado}" 
-                        ${product.link_afiliado ? `target="_blank" rel="noopener noreferrer"` : ''}
-                        class="btn-primary block w-full bg-blue-600 text-white text-center py-3 rounded-lg hover:bg-blue-700 transition-colors font-medium ${!product.link_afiliado ? 'opacity-60 pointer-events-none' : ''}"
+                        href="${link}" 
+                        ${link ? `target="_blank" rel="noopener noreferrer"` : ''}
+                        class="btn-primary block w-full bg-blue-600 text-white text-center py-3 rounded-lg hover:bg-blue-700 transition-colors font-medium ${!link ? 'opacity-60 pointer-events-none' : ''}"
                         onclick="${product.id && product.plataforma ? `Utils.trackClick('${product.id}', '${product.plataforma}')` : ''}"
                     >
-                        ${product.link_afiliado ? 'Ver Oferta' : 'Link indisponível'}
+                        ${link ? 'Ver Oferta' : 'Link indisponível'}
                         <i data-lucide="external-link" class="w-4 h-4 inline ml-1"></i>
                     </a>
                 </div>
@@ -164,14 +181,23 @@ class ProductRenderer {
      * Render products in a grid container
      * @param {Array} products - Array of products
      * @param {string} containerId - ID of container element
+     * @param {Object} options - Render options passed to renderProduct
      */
-    static renderProductGrid(products, containerId) {
+    static renderProductGrid(products, containerId, options = {}) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.warn(`Container with ID '${containerId}' not found`);
             return;
         }
         
+        StructuredData.injectProducts(containerId, products);
+        
+        if (products.length >= this.VIRTUALIZE_FROM) {
+            this.renderVirtualGrid(container, products, options);
+            return;
+        }
+        this.destroyVirtualGrid(container);
+        
         if (products.length === 0) {
             container.innerHTML = this.renderEmptyState();
             if (typeof Logger !== 'undefined') Logger.info('Render grid vazio', { containerId });
@@ -179,12 +205,17 @@ class ProductRenderer {
         }
         
         if (typeof Logger !== 'undefined') Logger.info('Renderizando grid', { containerId, count: products.length });
-        container.innerHTML = products.map(product => this.renderProduct(product)).join('');
+        container.innerHTML = products.map(product => this.renderProduct(product, options)).join('');
         
         // Re-initialize Lucide icons for new content
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+        Utils.lazyLoadImages();
+        
+        if (options.countdown) {
+            Countdown.start();
+        }
     }
     
     /**
@@ -206,6 +237,31 @@ class ProductRenderer {
         const endIndex = startIndex + itemsPerPage;
         const paginatedProducts = products.slice(startIndex, endIndex);
         
+        // JSON-LD de tudo que está visível até esta página
+        StructuredData.injectProducts(containerId, products.slice(0, endIndex));
+        
+        // Markup gerado por scripts/prerender.js: mantém os cards se forem os mesmos desta página
+        if (page === 1 && this.adoptPrerendered(container, paginatedProducts)) {
+            return endIndex < products.length;
+        }
+        
+        // Catálogos grandes: a grade virtual recebe tudo até esta página e só anexa o que é novo
+        const visibleProducts = products.slice(0, endIndex);
+        if (visibleProducts.length >= this.VIRTUALIZE_FROM) {
+            this.renderVirtualGrid(container, visibleProducts);
+            return endIndex < products.length;
+        }
+        if (this.virtualGrids.has(container.id)) {
+            // Voltou a caber sem virtualização: renderiza tudo de novo, como uma primeira página
+            this.destroyVirtualGrid(container);
+            container.innerHTML = visibleProducts.length ? visibleProducts.map(product => this.renderProduct(product)).join('') : this.renderEmptyState();
+            if (typeof lucide !== 'undefined') {
+                lucide.createIcons();
+            }
+            Utils.lazyLoadImages();
+            return endIndex < products.length;
+        }
+        
         if (paginatedProducts.length === 0) {
             if (page === 1) {
                 container.innerHTML = this.renderEmptyState();
@@ -226,10 +282,86 @@ class ProductRenderer {
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+        Utils.lazyLoadImages();
         
         return endIndex < products.length; // Return true if there are more products
     }
     
+    /**
+     * Show products in a virtualized grid (created on first use for the container)
+     * @param {HTMLElement} container - Grid container
+     * @param {Array} products - Products to show
+     * @param {Object} options - Render options passed to renderProduct
+     */
+    static renderVirtualGrid(container, products, options = {}) {
+        let grid = this.virtualGrids.get(container.id);
+        if (!grid) {
+            const heading = container.closest('section') ? container.closest('section').querySelector('h2') : null;
+            grid = new VirtualGrid(container, {
+                renderItem: (product) => this.renderProduct(product, options),
+                getKey: (product) => product.id,
+                label: heading ? heading.textContent.trim() : 'Produtos',
+                onRender: () => {
+                    if (typeof lucide !== 'undefined') {
+                        lucide.createIcons();
+                    }
+                    Utils.lazyLoadImages();
+                    if (options.countdown) {
+                        Countdown.start();
+                    }
+                }
+            });
+            this.virtualGrids.set(container.id, grid);
+            if (typeof Logger !== 'undefined') Logger.info('Grade virtualizada', { containerId: container.id, count: products.length });
+        }
+        grid.setItems(products);
+    }
+    
+    /**
+     * Go back to plain rendering in a container that was virtualized
+     * @param {HTMLElement} container - Grid container
+     */
+    static destroyVirtualGrid(container) {
+        const grid = this.virtualGrids.get(container.id);
+        if (!grid) return;
+        
+        grid.destroy();
+        this.virtualGrids.delete(container.id);
+        container.innerHTML = '';
+    }
+    
+    /**
+     * Take over pre-rendered cards instead of re-rendering them.
+     * Only happens once per container, and only if the cards match the products.
+     * @param {HTMLElement} container - Grid container
+     * @param {Array} products - Products the container should show
+     * @returns {boolean} True if the existing markup was kept
+     */
+    static adoptPrerendered(container, products) {
+        if (!('prerendered' in container.dataset)) return false;
+        delete container.dataset.prerendered;
+        
+        const renderedIds = Array.from(container.querySelectorAll('.product-card')).map(card => card.dataset.productId);
+        const expectedIds = products.map(product => product.id);
+        // Histórico de preços só existe no navegador; com selos a mostrar, renderiza de novo
+        if (products.some(product => PriceHistory.getBadge(product))) return false;
+        if (renderedIds.join(',') !== expectedIds.join(',')) {
+            if (typeof Logger !== 'undefined') Logger.info('Markup pré-renderizado desatualizado; renderizando novamente', { containerId: container.id });
+            return false;
+        }
+        
+        // Estado dos favoritos e da comparação só existe no navegador
+        FavoritesStore.updateToggles(container);
+        ProductComparison.updateToggles(container);
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        Utils.lazyLoadImages();
+        if (typeof Logger !== 'undefined') Logger.info('Markup pré-renderizado reaproveitado', { containerId: container.id, count: renderedIds.length });
+        return true;
+    }
+    
     /**
      * Render empty state when no products are found
      * @returns {string} HTML string for empty state
@@ -290,42 +422,31 @@ class ProductRenderer {
      * @returns {string} HTML string for product modal
      */
     static renderProductModal(product) {
-        // normaliza todas as imagens para srcs utilizáveis
-        const rawImages = (product.imagens_base64 && product.imagens_base64.length) ? product.imagens_base64
-                        : (product.imagens && product.imagens.length) ? product.imagens
-                        : [];
-
-        const imagesToShow = rawImages.map(img => this.normalizeImageSrc(img)).filter(Boolean);
-        const finalImages = imagesToShow.length ? imagesToShow : [Utils.getPlaceholderImage(400, 300)];
-
-        const imageGallery = finalImages.map((img, index) => `
-            <img 
-                src="${img}" 
-                alt="${Utils.sanitizeHtml(product.titulo)} - Imagem ${index + 1}"
-                class="w-full h-64 object-cover rounded-lg cursor-pointer"
-                onclick="this.requestFullscreen()"
-                onerror="this.src='${Utils.getPlaceholderImage(400,300)}'"
-            >
-        `).join('');
+        const imageGallery = this.renderModalImages(product);
+        const link = AffiliateLinks.build(product, 'modal');
+        const copyLink = AffiliateLinks.build(product, 'copy');
 
         return `
-            <div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onclick="this.remove()">
+            <div class="product-modal fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" data-product-id="${product.id}" role="dialog" aria-modal="true" aria-labelledby="product-modal-title" onclick="ProductRenderer.closeProductModal()">
                 <div class="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto" onclick="event.stopPropagation()">
                     <div class="p-6">
                         <!-- Header -->
                         <div class="flex justify-between items-start mb-4">
-                            <h2 class="text-2xl font-bold text-gray-800 pr-4">
+                            <h2 id="product-modal-title" class="text-2xl font-bold text-gray-800 pr-4">
                                 ${Utils.sanitizeHtml(product.titulo)}
                             </h2>
-                            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700">
-                                <i data-lucide="x" class="w-6 h-6"></i>
-                            </button>
+                            <div class="flex items-center gap-2">
+                                ${FavoritesStore.renderToggle(product, { variant: 'modal' })}
+                                <button onclick="ProductRenderer.closeProductModal()" class="text-gray-500 hover:text-gray-700" aria-label="Fechar">
+                                    <i data-lucide="x" class="w-6 h-6"></i>
+                                </button>
+                            </div>
                         </div>
                         
                         <!-- Content Grid -->
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
                             <!-- Images -->
-                            <div class="space-y-4">
+                            <div class="space-y-4" data-modal-images>
                                 ${imageGallery}
                             </div>
                             
@@ -338,6 +459,13 @@ class ProductRenderer {
                                     </span>
                                 </div>
                                 
+                                <!-- Countdown -->
+                                ${product.data_fim_promocao ? `
+                                    <div class="mb-4">
+                                        ${Countdown.render(product.data_fim_promocao, { variant: 'modal' })}
+                                    </div>
+                                ` : ''}
+                                
                                 <!-- Description -->
                                 <p class="text-gray-600 mb-4">
                                     ${Utils.sanitizeHtml(product.descricao)}
@@ -363,8 +491,15 @@ class ProductRenderer {
                                             Economia de ${Utils.formatCurrency(product.preco_original - product.preco_promocional)}
                                         </div>
                                     ` : ''}
+                                    ${PriceHistory.renderBadge(product)}
                                 </div>
                                 
+                                <!-- Price History -->
+                                ${PriceHistory.renderSparkline(product)}
+                                
+                                <!-- Stores -->
+                                ${ProductGrouping.renderStoreList(product)}
+                                
                                 <!-- Rating and Sales -->
                                 ${product.avaliacao > 0 || product.vendas > 0 ? `
                                     <div class="flex items-center justify-between mb-4 p-3 bg-gray-50 rounded-lg">
@@ -400,7 +535,7 @@ class ProductRenderer {
                                 <!-- Action Buttons -->
                                 <div class="space-y-3">
                                     <a 
-                                        href="${product.link_afiliado}" 
+                                        href="${link}" 
                                         target="_blank" 
                                         rel="noopener noreferrer"
                                         class="btn-primary block w-full text-center py-4 text-lg"
@@ -411,7 +546,7 @@ class ProductRenderer {
                                     </a>
                                     
                                     <button 
-                                        onclick="Utils.copyToClipboard('${product.link_afiliado}').then(success => success ? Utils.showNotification('Link copiado!', 'success') : Utils.showNotification('Erro ao copiar link', 'error'))"
+                                        onclick="Utils.copyToClipboard('${copyLink}').then(success => success ? Utils.showNotification('Link copiado!', 'success') : Utils.showNotification('Erro ao copiar link', 'error'))"
                                         class="btn-secondary block w-full text-center py-3"
                                     >
                                         <i data-lucide="copy" class="w-4 h-4 inline mr-2"></i>
@@ -420,6 +555,9 @@ class ProductRenderer {
                                 </div>
                             </div>
                         </div>
+                        
+                        <!-- Recommendations -->
+                        ${Recommendations.render(product)}
                     </div>
                 </div>
             </div>
@@ -428,18 +566,127 @@ class ProductRenderer {
     
     /**
      * Show product modal
+     * Dispatches 'productmodal:open' on document (used by the router to update the URL)
      * @param {Object} product - Product data
      */
     static showProductModal(product) {
         if (typeof Logger !== 'undefined') Logger.debug('Abrindo modal produto', { id: product.id, titulo: product.titulo });
-        const modal = document.createElement('div');
-        modal.innerHTML = this.renderProductModal(product);
-        document.body.appendChild(modal.firstElementChild);
+        
+        // Apenas um modal de produto por vez; o modal pré-renderizado do mesmo produto é reaproveitado
+        const current = this.getOpenModal();
+        const prerendered = current && 'prerendered' in current.dataset && current.dataset.productId === product.id
+            && PriceHistory.getHistory(product.id).length < 2;
+        if (prerendered) {
+            delete current.dataset.prerendered;
+            FavoritesStore.updateToggles(current);
+        } else {
+            if (current) current.remove();
+            const modal = document.createElement('div');
+            modal.innerHTML = this.renderProductModal(product);
+            document.body.appendChild(modal.firstElementChild);
+        }
         
         // Initialize Lucide icons for modal content
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+        
+        ImageGallery.attach(this.getOpenModal());
+        Countdown.start();
+        document.dispatchEvent(new CustomEvent('productmodal:open', { detail: { product } }));
+        
+        this.loadFullImages(product);
+    }
+    
+    /**
+     * Render the modal images (the thumbnail while the full images are not loaded)
+     * @param {Object} product - Product data
+     * @returns {string} HTML string for the images
+     */
+    static renderModalImages(product) {
+        // normaliza todas as imagens para srcs utilizáveis
+        const rawImages = (product.imagens_base64 && product.imagens_base64.length) ? product.imagens_base64
+                        : (product.imagens && product.imagens.length) ? product.imagens
+                        : product.miniatura ? [product.miniatura]
+                        : [];
+
+        // imagens inválidas ficam de fora; as que falharem ao carregar são puladas pela galeria
+        const imagesToShow = rawImages.map(img => this.normalizeImageSrc(img)).filter(Boolean);
+
+        return ImageGallery.render(imagesToShow, { alt: product.titulo });
+    }
+    
+    /**
+     * Set where full images are read from when they are not loaded with the products
+     * @param {Function|null} source - (productId) => Promise<Array<string>>
+     */
+    static setImageSource(source) {
+        this.imageSource = source;
+    }
+    
+    /**
+     * Fetch the full images of a product kept in the images table and show them in the open modal
+     * @param {Object} product - Product data
+     * @returns {Promise<void>}
+     */
+    static async loadFullImages(product) {
+        if (!product.imagens_sob_demanda || product.imagens_base64.length || !this.imageSource) return;
+        
+        try {
+            const images = await this.imageSource(product.id);
+            product.imagens_base64 = images.map(img => String(img).trim()).filter(Boolean);
+            product.imagens = product.imagens_base64.slice();
+        } catch (error) {
+            if (typeof Logger !== 'undefined') Logger.warn('Falha ao carregar imagens do produto', { id: product.id, error: String(error) });
+            return;
+        }
+        
+        const modal = this.getOpenModal();
+        const gallery = modal && modal.dataset.productId === product.id ? modal.querySelector('[data-modal-images]') : null;
+        if (gallery && product.imagens_base64.length) {
+            gallery.innerHTML = this.renderModalImages(product);
+            ImageGallery.attach(gallery);
+            if (typeof lucide !== 'undefined') lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Image shown on cards and small previews: the thumbnail, or else the first valid image
+     * @param {Object} product - Product data
+     * @returns {string|null} Usable src, or null without images
+     */
+    static getThumbnailSrc(product) {
+        const candidates = [product.miniatura]
+            .concat((product.imagens_base64 && product.imagens_base64.length) ? product.imagens_base64 : (product.imagens || []));
+        for (const candidate of candidates) {
+            const src = this.normalizeImageSrc(candidate);
+            if (src) return src;
+        }
+        return null;
+    }
+    
+    /**
+     * Close the product modal, if open
+     * Dispatches 'productmodal:close' on document
+     * @returns {boolean} True if a modal was closed
+     */
+    static closeProductModal() {
+        const modal = this.getOpenModal();
+        if (!modal) return false;
+        
+        const productId = modal.dataset.productId;
+        modal.remove();
+        if (typeof Logger !== 'undefined') Logger.debug('Fechando modal produto', { id: productId });
+        document.dispatchEvent(new CustomEvent('productmodal:close', { detail: { productId } }));
+        return true;
+    }
+    
+    /**
+     * Get the open product modal element
+     * @returns {HTMLElement|null} Modal element or null
+     */
+    static getOpenModal() {
+        return document.querySelector('.product-modal');
     }
     
     // Helper: normaliza string de imagem para um src utilizável
@@ -463,11 +710,27 @@ class ProductRenderer {
             return `data:image/png;base64,${s.replace(/\s+/g, '')}`;
         }
 
+        // Nome de arquivo (ex.: "123-1.jpg" ou "produtos/123.webp"): imagem em data/img/
+        if (!s.startsWith('/') && /^[\w\-./]+\.(jpe?g|png|webp|gif|avif|svg)$/i.test(s)) {
+            const file = s.startsWith('data/') ? s : `data/img/${s}`;
+            // Relativo à base do site, não à URL atual (/produto/{id} após pushState)
+            return this.baseUrl ? new URL(file, this.baseUrl).href : file;
+        }
+
         // fallback: se contém ',' e sem https, pode ser lista — deixar para ser tratado externamente
         return s;
     }
 }
 
+// Container ID -> VirtualGrid of virtualized grids
+ProductRenderer.virtualGrids = new Map();
+
+// Full images read on demand (see setImageSource)
+ProductRenderer.imageSource = null;
+
+// Site base for data/img/ files, captured before any pushState to /produto/{id}
+ProductRenderer.baseUrl = document.baseURI || '';
+
 // Export for use in other modules
 window.ProductRenderer = ProductRenderer;
 
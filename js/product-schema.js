@@ -0,0 +1,157 @@
+// Product schema: required fields, types and consistency rules checked on every loaded row.
+// Rows with errors are hidden; warnings are only reported (see DataReport, ?debug=dados)
+
+class ProductSchema {
+    /**
+     * Field rules.
+     * - type: 'string', 'number', 'integer', 'url', 'platform' or 'date'
+     * - required: empty value is a problem
+     * - min / max: numeric range
+     * - severity: 'error' hides the product, 'warning' only reports it
+     * @returns {Object} Field name -> rule
+     */
+    static get FIELDS() {
+        return {
+            id: { type: 'string', required: true, severity: 'error' },
+            titulo: { type: 'string', required: true, severity: 'error' },
+            link_afiliado: { type: 'url', required: true, severity: 'error' },
+            preco_promocional: { type: 'number', required: true, min: 0, severity: 'error' },
+            preco_original: { type: 'number', min: 0, severity: 'error' },
+            desconto_percentual: { type: 'number', min: 0, max: 100, severity: 'warning' },
+            avaliacao: { type: 'number', min: 0, max: 5, severity: 'warning' },
+            vendas: { type: 'integer', min: 0, severity: 'warning' },
+            plataforma: { type: 'platform', required: true, severity: 'warning' },
+            data_inicio_promocao: { type: 'date', severity: 'error' },
+            data_fim_promocao: { type: 'date', severity: 'error' },
+            data_publicacao: { type: 'date', severity: 'warning' }
+        };
+    }
+
+    /**
+     * Known platforms (same names as Utils.getPlatformColorClass)
+     * @returns {Array<string>} Platform names
+     */
+    static get PLATFORMS() {
+        return ['Shopee', 'AliExpress', 'Amazon', 'Magazine Luiza', 'TEMU'];
+    }
+
+    /**
+     * Difference (percentage points) accepted between the informed and the computed discount
+     * @returns {number} Percentage points
+     */
+    static get DISCOUNT_TOLERANCE() {
+        return 1;
+    }
+
+    /**
+     * Validate a product
+     * @param {Object} raw - Row as read from the source (types are checked on it)
+     * @param {Object} product - Same row normalized (consistency is checked on it)
+     * @returns {Array} Problems: [{ field, severity: 'error'|'warning', message }]
+     */
+    static validate(raw, product) {
+        const problems = [];
+        const add = (field, severity, message) => problems.push({ field, severity, message });
+
+        Object.entries(this.FIELDS).forEach(([field, rule]) => {
+            const value = raw[field];
+            const empty = value === null || value === undefined || String(value).trim() === '';
+            if (empty) {
+                // Preço ausente: o produto aparece como "preço indisponível", não é erro
+                if (rule.required) add(field, field === 'preco_promocional' ? 'warning' : rule.severity, 'campo obrigatório vazio');
+                return;
+            }
+
+            const problem = this.checkType(rule, value, product[field]);
+            if (problem) add(field, problem.severity, problem.message);
+        });
+
+        // Preços
+        if (product.preco_original > 0 && product.preco_promocional > product.preco_original) {
+            add('preco_promocional', 'error', `preço promocional (${product.preco_promocional}) maior que o original (${product.preco_original})`);
+        }
+        const informedDiscount = raw.desconto_percentual !== null && raw.desconto_percentual !== undefined && String(raw.desconto_percentual).trim() !== '';
+        if (informedDiscount && product.preco_promocional > 0 && product.preco_promocional <= product.preco_original) {
+            const expected = Math.round(((product.preco_original - product.preco_promocional) / product.preco_original) * 100);
+            if (Math.abs(product.desconto_percentual - expected) > this.DISCOUNT_TOLERANCE) {
+                add('desconto_percentual', 'warning', `desconto informado (${product.desconto_percentual}%) não confere com os preços (${expected}%)`);
+            }
+        }
+
+        // Datas
+        const start = product.data_inicio_promocao;
+        const end = product.data_fim_promocao;
+        if (start && end && start.getTime() > end.getTime()) {
+            add('data_fim_promocao', 'error', 'fim da promoção antes do início');
+        }
+        if (product.data_publicacao && end && product.data_publicacao.getTime() > end.getTime()) {
+            add('data_publicacao', 'warning', 'publicação depois do fim da promoção');
+        }
+
+        // Link sem a nossa tag: a oferta abre, mas não gera comissão
+        if (typeof AffiliateLinks !== 'undefined') {
+            const affiliateProblem = AffiliateLinks.check(product.link_afiliado, product.plataforma);
+            if (affiliateProblem) add('link_afiliado', 'warning', affiliateProblem);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check a non-empty value against its field type
+     * @param {Object} rule - Field rule
+     * @param {*} value - Raw value
+     * @param {*} normalized - Normalized value
+     * @returns {Object|null} { message, severity } (the rule's severity, or 'error' for
+     *                        ambiguous numbers), or null if valid
+     */
+    static checkType(rule, value, normalized) {
+        const problem = (message, severity = rule.severity) => ({ message, severity });
+
+        switch (rule.type) {
+            case 'number':
+            case 'integer': {
+                // Formato brasileiro; valores ambíguos ("1,299.90", "0.125") não são adivinhados
+                const ambiguous = ProductNormalizer.isAmbiguousNumber(value);
+                if (isNaN(ProductNormalizer.parseNumber(value))) {
+                    return ambiguous
+                        ? problem(`"${value}" é ambíguo; para decimais use vírgula (${String(value).trim().replace('.', ',')})`, 'error')
+                        : problem(`"${value}" não é um número no formato 1.299,90`);
+                }
+                // "4.125" lido como milhar (4125) fora da faixa do campo: provavelmente era decimal
+                const outOfRange = (rule.min !== undefined && normalized < rule.min) || (rule.max !== undefined && normalized > rule.max);
+                if (ambiguous && outOfRange) {
+                    return problem(`"${value}" é ambíguo: como milhar dá ${normalized}, fora da faixa do campo; para decimais use vírgula (${String(value).trim().replace('.', ',')})`, 'error');
+                }
+                if (rule.type === 'integer' && !Number.isInteger(normalized)) return problem(`"${value}" não é um número inteiro`);
+                if (rule.min !== undefined && normalized < rule.min) return problem(`${normalized} abaixo do mínimo (${rule.min})`);
+                if (rule.max !== undefined && normalized > rule.max) return problem(`${normalized} acima do máximo (${rule.max})`);
+                return null;
+            }
+            case 'url':
+                return Utils.isValidUrl(String(value).trim()) && /^https?:\/\//i.test(String(value).trim())
+                    ? null
+                    : problem(`"${value}" não é uma URL http(s) válida`);
+            case 'platform':
+                return this.PLATFORMS.some(platform => platform.toLowerCase() === String(value).trim().toLowerCase())
+                    ? null
+                    : problem(`plataforma desconhecida "${value}"`);
+            case 'date':
+                return normalized instanceof Date ? null : problem(`data inválida "${value}"`);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check whether a validated product can be shown (no errors)
+     * @param {Object} product - Normalized product
+     * @returns {boolean} True if it has no errors
+     */
+    static isValid(product) {
+        return !(product.problemas || []).some(problem => problem.severity === 'error');
+    }
+}
+
+// Export for use in other modules
+window.ProductSchema = ProductSchema;
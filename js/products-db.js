@@ -0,0 +1,339 @@
+// SQLite (sql.js) access used by the products worker: table and column discovery,
+// normalized products and the SQL version of the catalog filters
+
+class ProductsDatabase {
+    /**
+     * Table names tried in order (the first table of the file is the last resort)
+     * @returns {Array<string>} Table names
+     */
+    static get TABLE_CANDIDATES() {
+        return ['produtos', 'products'];
+    }
+
+    /**
+     * Columns read from the products table (missing ones are skipped)
+     * @returns {Array<string>} Column names
+     */
+    static get EXPECTED_COLUMNS() {
+        return [
+            'id', 'titulo', 'descricao', 'preco_original', 'preco_promocional', 'desconto_percentual',
+            'link_afiliado', 'imagens_base64', 'categoria_principal', 'nichos', 'plataforma', 'avaliacao',
+            'vendas', 'data_inicio_promocao', 'data_fim_promocao', 'data_publicacao', 'status',
+            'ean', 'sku', // opcionais: identificam o mesmo item em lojas diferentes
+            'miniatura', // opcional: imagem leve usada nos cards
+            'total_avaliacoes' // opcional: número de avaliações (dados estruturados)
+        ];
+    }
+
+    /**
+     * Optional table with the product images (produto_id, imagem, and optionally posicao and miniatura).
+     * When it exists, only one thumbnail per product is read up front; full images are read on demand.
+     * @returns {string} Table name
+     */
+    static get IMAGES_TABLE() {
+        return 'imagens';
+    }
+
+    /**
+     * Rows normalized between two progress reports
+     * @returns {number} Rows
+     */
+    static get PROGRESS_STEP() {
+        return 500;
+    }
+
+    /**
+     * Find the products table
+     * @param {Object} db - sql.js Database
+     * @returns {string} Table name
+     */
+    static findTable(db) {
+        for (const table of this.TABLE_CANDIDATES) {
+            try {
+                const pragma = db.exec(`PRAGMA table_info('${table}')`);
+                if (pragma.length && pragma[0].values.length) return table;
+            } catch (e) {
+                // tenta a próxima
+            }
+        }
+
+        // Nenhuma tabela esperada: usa a primeira tabela do arquivo
+        const tables = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'");
+        if (tables.length && tables[0].values.length) {
+            const table = tables[0].values[0][0];
+            console.warn(`Nenhuma tabela esperada encontrada; usando primeira tabela detectada: ${table}`);
+            return table;
+        }
+
+        throw new Error('Nenhuma tabela válida encontrada no banco de dados SQLite.');
+    }
+
+    /**
+     * Expected columns present in a table
+     * @param {Object} db - sql.js Database
+     * @param {string} table - Table name
+     * @returns {Array<string>} Column names
+     */
+    static getColumns(db, table) {
+        const existing = this.getTableColumns(db, table);
+        // Com a tabela de imagens, imagens_base64 não vem na carga inicial
+        const skip = this.hasImagesTable(db) ? ['imagens_base64'] : [];
+        const columns = this.EXPECTED_COLUMNS.filter(column =>
+            !skip.includes(column) && (existing.length === 0 || existing.includes(column))
+        );
+        if (columns.length === 0) {
+            throw new Error(`Nenhuma coluna esperada encontrada em ${table}. Verifique o esquema do banco de dados.`);
+        }
+        return columns;
+    }
+
+    /**
+     * Column names of a table
+     * @param {Object} db - sql.js Database
+     * @param {string} table - Table name
+     * @returns {Array<string>} Column names (empty if the table does not exist)
+     */
+    static getTableColumns(db, table) {
+        try {
+            const pragma = db.exec(`PRAGMA table_info('${table}')`);
+            // pragma[0].values: cada entrada [cid, name, type, notnull, dflt_value, pk]
+            return pragma.length ? pragma[0].values.map(row => row[1]) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Check whether the optional images table exists
+     * @param {Object} db - sql.js Database
+     * @returns {boolean} True if the images table has produto_id and imagem
+     */
+    static hasImagesTable(db) {
+        const columns = this.getTableColumns(db, this.IMAGES_TABLE);
+        return columns.includes('produto_id') && columns.includes('imagem');
+    }
+
+    /**
+     * Give each product the thumbnail of its first image in the images table
+     * (miniatura when filled, otherwise the image itself) and mark its images as loaded on demand
+     * @param {Object} db - sql.js Database
+     * @param {Array} products - Normalized products
+     */
+    static attachThumbnails(db, products) {
+        const columns = this.getTableColumns(db, this.IMAGES_TABLE);
+        const order = columns.includes('posicao') ? 'posicao, rowid' : 'rowid';
+        const thumbnail = columns.includes('miniatura') ? "COALESCE(NULLIF(miniatura, ''), imagem)" : 'imagem';
+
+        // Primeira imagem de cada produto numa só passada (sem subconsulta por linha)
+        const result = db.exec(`
+            SELECT produto, miniatura FROM (
+                SELECT CAST(produto_id AS TEXT) AS produto, ${thumbnail} AS miniatura,
+                       ROW_NUMBER() OVER (PARTITION BY produto_id ORDER BY ${order}) AS ordem
+                FROM ${this.IMAGES_TABLE}
+            )
+            WHERE ordem = 1
+        `);
+        const thumbnails = new Map(result.length ? result[0].values : []);
+
+        products.forEach(product => {
+            if (!thumbnails.has(product.id)) return;
+            if (!product.miniatura) product.miniatura = String(thumbnails.get(product.id) || '').trim();
+            product.imagens_sob_demanda = true;
+        });
+    }
+
+    /**
+     * Full images of a product from the images table, in order
+     * @param {Object} db - sql.js Database
+     * @param {string} productId - Product ID
+     * @returns {Array<string>} Images (data URIs, base64, URLs or file names under data/img/)
+     */
+    static readImages(db, productId) {
+        const order = this.getTableColumns(db, this.IMAGES_TABLE).includes('posicao') ? 'posicao' : 'rowid';
+        const result = db.exec(
+            `SELECT imagem FROM ${this.IMAGES_TABLE} WHERE CAST(produto_id AS TEXT) = ? ORDER BY ${order}`,
+            [String(productId)]
+        );
+        return result.length ? result[0].values.map(([image]) => String(image || '').trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * Read and normalize every product
+     * @param {Object} db - sql.js Database
+     * @param {string} table - Table name
+     * @param {Array<string>} columns - Columns to read
+     * @param {Function} onProgress - Called with (normalized rows, total rows)
+     * @returns {Array} Normalized products
+     */
+    static readProducts(db, table, columns, onProgress = () => {}) {
+        const result = db.exec(`SELECT ${columns.join(', ')} FROM "${table}"`);
+        if (!result.length) {
+            throw new Error('Consulta SQLite retornou vazia. Verifique o conteúdo do banco de dados.');
+        }
+
+        const { columns: names, values } = result[0];
+        const products = [];
+        values.forEach((row, index) => {
+            const raw = {};
+            names.forEach((name, i) => raw[name] = row[i]);
+            products.push(ProductNormalizer.normalize(raw));
+            if ((index + 1) % this.PROGRESS_STEP === 0) onProgress(index + 1, values.length);
+        });
+        onProgress(values.length, values.length);
+
+        return products;
+    }
+
+    /**
+     * Read the optional historico_precos table (produto_id, preco, data)
+     * @param {Object} db - sql.js Database
+     * @returns {Array} [{ id, price, date }] (empty without the table)
+     */
+    static readPriceHistory(db) {
+        try {
+            const history = db.exec('SELECT produto_id, preco, data FROM historico_precos');
+            return history.length ? history[0].values.map(([id, price, date]) => ({ id, price, date })) : [];
+        } catch (e) {
+            return []; // tabela opcional
+        }
+    }
+
+    /**
+     * Register the SQL functions used by the filters:
+     * - normalizar(texto) -> ' palavras sem acento ' (frases entre aspas)
+     * - qualidade_termo(texto, termo) -> best SearchIndex.matchQuality of the term against the
+     *   stemmed words of the text (0 when none matches), so SQL search has the same stemming
+     *   and typo tolerance as the JavaScript index
+     * - tem_radical(texto, radical) -> 1 when the stemmed text has exactly that word (exclusions)
+     * - tem_valor(lista, valor) for comma-separated lists
+     * @param {Object} db - sql.js Database
+     */
+    static registerFunctions(db) {
+        // Radicais de cada texto (os mesmos textos voltam a cada consulta)
+        const stemCache = new Map();
+        const stemsOf = (text) => {
+            const key = String(text || '');
+            if (!stemCache.has(key)) {
+                stemCache.set(key, new Set(SearchIndex.tokenize(key).map(word => SearchIndex.stem(word))));
+            }
+            return stemCache.get(key);
+        };
+
+        db.create_function('normalizar', (text) => ` ${SearchIndex.tokenize(text).join(' ')} `);
+        db.create_function('qualidade_termo', (text, term) => {
+            let best = 0;
+            for (const stem of stemsOf(text)) {
+                best = Math.max(best, SearchIndex.matchQuality(term, stem));
+                if (best === 1) break;
+            }
+            return best;
+        });
+        db.create_function('tem_radical', (text, stem) => (stemsOf(text).has(stem) ? 1 : 0));
+        db.create_function('tem_valor', (list, value) =>
+            String(list || '').split(',').some(item => item.trim() === value) ? 1 : 0
+        );
+    }
+
+    /**
+     * Build the SQL query for the catalog filters (same rules as FiltersManager.filterProducts,
+     * except favorites, which only exist in the browser)
+     * @param {Object} filters - FiltersManager.currentFilters
+     * @param {string} table - Table name
+     * @param {Array<string>} columns - Columns present in the table
+     * @returns {Object} { sql, params } selecting id and score
+     */
+    static buildFilterQuery(filters, table, columns) {
+        const where = [];
+        const params = [];
+        const scoreParts = [];
+        const scoreParams = [];
+        const has = (column) => columns.includes(column);
+
+        // Busca: cada termo precisa casar (radical, prefixo ou erro de digitação) com alguma palavra
+        // de algum campo, como no SearchIndex; a pontuação segue os pesos do índice
+        if (filters.search) {
+            const { terms, phrases, excludeTerms, excludePhrases } = SearchIndex.parseQuery(filters.search);
+            const fields = Object.entries(SearchIndex.FIELD_WEIGHTS).filter(([field]) => has(field));
+            const searchable = fields.length
+                ? fields.map(([field]) => `COALESCE(${field}, '')`).join(` || ' ' || `)
+                : "''";
+
+            terms.forEach(term => {
+                where.push(`qualidade_termo(${searchable}, ?) > 0`);
+                params.push(term);
+                fields.forEach(([field, weight]) => {
+                    scoreParts.push(`${weight} * qualidade_termo(${field}, ?)`);
+                    scoreParams.push(term);
+                });
+            });
+            phrases.forEach(phrase => {
+                where.push(`normalizar(${searchable}) LIKE ?`);
+                params.push(`% ${phrase} %`);
+                scoreParts.push('10');
+            });
+            excludeTerms.forEach(term => {
+                where.push(`tem_radical(${searchable}, ?) = 0`);
+                params.push(term);
+            });
+            excludePhrases.forEach(phrase => {
+                where.push(`normalizar(${searchable}) NOT LIKE ?`);
+                params.push(`% ${phrase} %`);
+            });
+        }
+
+        // Facetas (qualquer um dos valores marcados em cada faceta)
+        const inList = (expression, values) => {
+            where.push(`${expression} IN (${values.map(() => '?').join(', ')})`);
+            params.push(...values);
+        };
+        if (filters.platform && filters.platform.length) {
+            inList(has('plataforma') ? "COALESCE(plataforma, '')" : "''", filters.platform);
+        }
+        if (filters.category && filters.category.length) {
+            inList(has('categoria_principal') ? "COALESCE(NULLIF(categoria_principal, ''), 'Outros')" : "'Outros'", filters.category);
+        }
+        if (filters.niches && filters.niches.length) {
+            where.push(`(${filters.niches.map(() => (has('nichos') ? 'tem_valor(nichos, ?)' : '0')).join(' OR ')})`);
+            if (has('nichos')) params.push(...filters.niches);
+        }
+
+        // Faixas numéricas (sem preço não entra quando há limite máximo)
+        const number = (column) => (has(column) ? `COALESCE(${column}, 0)` : '0');
+        const atLeast = (column, value) => {
+            if (value === null || value === undefined) return;
+            where.push(`${number(column)} >= ?`);
+            params.push(value);
+        };
+        atLeast('preco_promocional', filters.priceMin);
+        if (filters.priceMax !== null && filters.priceMax !== undefined) {
+            where.push(`${number('preco_promocional')} > 0 AND ${number('preco_promocional')} <= ?`);
+            params.push(filters.priceMax);
+        }
+        atLeast('desconto_percentual', filters.minDiscount);
+        atLeast('avaliacao', filters.minRating);
+        atLeast('vendas', filters.minSales);
+
+        const score = scoreParts.length ? scoreParts.join(' + ') : '0';
+        return {
+            sql: `SELECT CAST(id AS TEXT), ${score} FROM "${table}"${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`,
+            params: [...scoreParams, ...params]
+        };
+    }
+
+    /**
+     * Run the catalog filters as SQL
+     * @param {Object} db - sql.js Database (with registerFunctions applied)
+     * @param {string} table - Table name
+     * @param {Array<string>} columns - Columns present in the table
+     * @param {Object} filters - FiltersManager.currentFilters
+     * @returns {Array} [{ id, score }] of the matching products
+     */
+    static queryFilters(db, table, columns, filters) {
+        const { sql, params } = this.buildFilterQuery(filters, table, columns);
+        const result = db.exec(sql, params);
+        return result.length ? result[0].values.map(([id, score]) => ({ id, score })) : [];
+    }
+}
+
+// Export for use in other modules
+window.ProductsDatabase = ProductsDatabase;
@@ -0,0 +1,95 @@
+// Page side of js/products-worker.js: loads the products and runs SQL filters through the worker
+
+class ProductsLoader {
+    /**
+     * @param {string|URL} workerUrl - URL of js/products-worker.js
+     */
+    constructor(workerUrl) {
+        this.worker = new Worker(workerUrl);
+        this.requests = new Map(); // request ID -> { resolve, reject }
+        this.nextId = 1;
+        this.onProgress = null;
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            // Erro fora de uma mensagem (ex.: importScripts falhou): nenhuma resposta vai chegar
+            const error = new Error(e.message || 'Falha no worker de produtos');
+            this.requests.forEach(({ reject }) => reject(error));
+            this.requests.clear();
+            if (typeof Logger !== 'undefined') Logger.error('Worker de produtos falhou', { message: e.message });
+        });
+    }
+
+    /**
+     * Route a worker message to its request (or to the progress callback)
+     * @param {Object} message - Message from the worker
+     */
+    handleMessage(message) {
+        if (message.type === 'progress') {
+            if (this.onProgress) this.onProgress(message);
+            return;
+        }
+
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        this.requests.delete(message.id);
+
+        if (message.type === 'error') {
+            const error = new Error(message.message);
+            error.code = message.code;
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Message type
+     * @param {Object} payload - Message data
+     * @returns {Promise<*>} Worker result
+     */
+    request(type, payload = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...payload, id, type });
+        });
+    }
+
+    /**
+     * Download and read the products (rejects with error.code 'not-found' when no file exists)
+     * @param {Array<string>} urls - Candidate URLs of the SQLite file, in order
+     * @param {Object} options - { onProgress: ({ stage, loaded, total }) => void }
+     * @returns {Promise<Object>} { products, history, url, table, columns }
+     */
+    async load(urls, { onProgress } = {}) {
+        this.onProgress = onProgress || null;
+        try {
+            return await this.request('load', { urls });
+        } finally {
+            this.onProgress = null;
+        }
+    }
+
+    /**
+     * Run the catalog filters as SQL in the worker
+     * @param {Object} filters - FiltersManager.currentFilters
+     * @returns {Promise<Array>} [{ id, score }] of the matching products
+     */
+    query(filters) {
+        return this.request('query', { filters });
+    }
+
+    /**
+     * Read the full images of a product (images table)
+     * @param {string} productId - Product ID
+     * @returns {Promise<Array<string>>} Images, in order
+     */
+    images(productId) {
+        return this.request('images', { productId });
+    }
+}
+
+// Export for use in other modules
+window.ProductsLoader = ProductsLoader;
@@ -0,0 +1,137 @@
+// Web Worker: downloads the SQLite file, opens it with sql.js and normalizes the products
+// off the main thread; afterwards answers the catalog filters as SQL.
+//
+// Messages in:  { id, type: 'load', urls } | { id, type: 'query', filters } | { id, type: 'images', productId }
+// Messages out: { type: 'progress', stage: 'download'|'open'|'parse', loaded, total }
+//               { id, type: 'result', result } | { id, type: 'error', message, code }
+
+// Os módulos compartilhados se exportam em window.*
+self.window = self;
+importScripts('utils.js', 'affiliate-links.js', 'promotion-lifecycle.js', 'product-schema.js', 'product-normalizer.js', 'search-index.js', 'products-db.js');
+
+// Versão do sql.js a usar no CDN
+const SQLJS_VERSION = '1.6.2';
+const SQLJS_BASE_URL = `https://cdnjs.cloudflare.com/ajax/libs/sql.js/${SQLJS_VERSION}`;
+
+// Banco aberto pelo último 'load': { db, table, columns }
+let database = null;
+
+/**
+ * Report progress to the page
+ * @param {string} stage - 'download', 'open' or 'parse'
+ * @param {number} loaded - Bytes or rows done
+ * @param {number} total - Bytes or rows expected (0 when unknown)
+ */
+function reportProgress(stage, loaded, total) {
+    self.postMessage({ type: 'progress', stage, loaded, total });
+}
+
+/**
+ * Download the first available file, reporting the bytes received
+ * @param {Array<string>} urls - Candidate URLs, in order
+ * @returns {Promise<Object>} { url, bytes }
+ */
+async function download(urls) {
+    const errors = [];
+
+    for (const url of urls) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (fetchErr) {
+            errors.push(`${url}: ${fetchErr}`);
+            continue;
+        }
+        if (!response.ok) {
+            errors.push(`${url}: status ${response.status}`);
+            continue;
+        }
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (!response.body) {
+            const buffer = await response.arrayBuffer();
+            reportProgress('download', buffer.byteLength, buffer.byteLength);
+            return { url, bytes: new Uint8Array(buffer) };
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            reportProgress('download', loaded, total);
+        }
+
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return { url, bytes };
+    }
+
+    const error = new Error(`Arquivo de dados não encontrado (${errors.join('; ')})`);
+    error.code = 'not-found';
+    throw error;
+}
+
+/**
+ * Load sql.js (script and .wasm from the CDN)
+ * @returns {Promise<Object>} sql.js module
+ */
+function initSql() {
+    if (typeof initSqlJs !== 'function') {
+        importScripts(`${SQLJS_BASE_URL}/sql-wasm.js`);
+    }
+    return initSqlJs({ locateFile: (file) => `${SQLJS_BASE_URL}/${file}` });
+}
+
+/**
+ * Download, open and read the products
+ * @param {Array<string>} urls - Candidate URLs of the SQLite file
+ * @returns {Promise<Object>} { products, history, url, table, columns }
+ */
+async function load(urls) {
+    const [SQL, { url, bytes }] = await Promise.all([initSql(), download(urls)]);
+
+    reportProgress('open', 0, 0);
+    if (database) database.db.close();
+    const db = new SQL.Database(bytes);
+    ProductsDatabase.registerFunctions(db);
+
+    const table = ProductsDatabase.findTable(db);
+    const columns = ProductsDatabase.getColumns(db, table);
+    database = { db, table, columns };
+
+    const products = ProductsDatabase.readProducts(db, table, columns, (loaded, total) => reportProgress('parse', loaded, total));
+    if (ProductsDatabase.hasImagesTable(db)) ProductsDatabase.attachThumbnails(db, products);
+    const history = ProductsDatabase.readPriceHistory(db);
+
+    return { products, history, url, table, columns };
+}
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        let result;
+        if (type === 'load') {
+            result = await load(event.data.urls);
+        } else if (type === 'query') {
+            if (!database) throw new Error('Banco de dados ainda não carregado');
+            result = ProductsDatabase.queryFilters(database.db, database.table, database.columns, event.data.filters);
+        } else if (type === 'images') {
+            if (!database) throw new Error('Banco de dados ainda não carregado');
+            result = ProductsDatabase.readImages(database.db, event.data.productId);
+        } else {
+            throw new Error(`Mensagem desconhecida: ${type}`);
+        }
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message, code: error.code || null });
+    }
+};
@@ -0,0 +1,142 @@
+// Promotion lifecycle: decide quais produtos estão no ar a partir da janela de promoção e do status
+
+class PromotionLifecycle {
+    /**
+     * Status considered as published (compared case-insensitively)
+     * @returns {Array<string>} Accepted status values
+     */
+    static get PUBLISHED_STATUSES() {
+        return ['published', 'publicado', 'ativo', 'active'];
+    }
+
+    /**
+     * How long an expired offer is still listed as "recently expired"
+     * @returns {number} Number of days
+     */
+    static get RECENTLY_EXPIRED_DAYS() {
+        return 7;
+    }
+
+    /**
+     * Parse a promotion date. Date-only values (YYYY-MM-DD) are read in local time,
+     * and with endOfDay the whole last day is still part of the window.
+     * @param {string|Date|null} value - Raw date value
+     * @param {Object} options - { endOfDay: boolean }
+     * @returns {Date|null} Parsed date or null
+     */
+    static parseDate(value, { endOfDay = false } = {}) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : new Date(value.getTime());
+        }
+
+        const s = String(value).trim();
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+        if (dateOnly) {
+            const [, y, m, d] = dateOnly.map(Number);
+            return endOfDay
+                ? new Date(y, m - 1, d, 23, 59, 59, 999)
+                : new Date(y, m - 1, d, 0, 0, 0, 0);
+        }
+
+        const date = new Date(s);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Check if the product status allows it to be shown.
+     * Rows without status (legacy tables) are treated as published.
+     * @param {Object} product - Product data
+     * @returns {boolean} True if published
+     */
+    static isPublished(product) {
+        const status = String(product.status || '').trim().toLowerCase();
+        return !status || this.PUBLISHED_STATUSES.includes(status);
+    }
+
+    /**
+     * Get the lifecycle state of a product
+     * @param {Object} product - Product data
+     * @param {Date} now - Reference date
+     * @returns {string} 'draft', 'scheduled', 'expired' or 'live'
+     */
+    static getState(product, now = new Date()) {
+        if (!this.isPublished(product)) return 'draft';
+
+        const start = product.data_inicio_promocao;
+        const end = product.data_fim_promocao;
+
+        if (start && start.getTime() > now.getTime()) return 'scheduled';
+        if (end && end.getTime() <= now.getTime()) return 'expired';
+        return 'live';
+    }
+
+    /**
+     * Check if an expired product ended within the "recently expired" window
+     * @param {Object} product - Product data
+     * @param {Date} now - Reference date
+     * @returns {boolean} True if recently expired
+     */
+    static isRecentlyExpired(product, now = new Date()) {
+        if (this.getState(product, now) !== 'expired') return false;
+        const windowMs = this.RECENTLY_EXPIRED_DAYS * 24 * 60 * 60 * 1000;
+        return now.getTime() - product.data_fim_promocao.getTime() <= windowMs;
+    }
+
+    /**
+     * Split products by lifecycle state
+     * @param {Array} products - All loaded products
+     * @param {Date} now - Reference date
+     * @returns {Object} { live, scheduled, expired, recentlyExpired, drafts }
+     */
+    static partition(products, now = new Date()) {
+        const result = { live: [], scheduled: [], expired: [], recentlyExpired: [], drafts: [] };
+
+        products.forEach(product => {
+            switch (this.getState(product, now)) {
+                case 'live':
+                    result.live.push(product);
+                    break;
+                case 'scheduled':
+                    result.scheduled.push(product);
+                    break;
+                case 'expired':
+                    result.expired.push(product);
+                    if (this.isRecentlyExpired(product, now)) result.recentlyExpired.push(product);
+                    break;
+                default:
+                    result.drafts.push(product);
+            }
+        });
+
+        // Encerradas mais recentes primeiro
+        result.recentlyExpired.sort((a, b) => b.data_fim_promocao - a.data_fim_promocao);
+
+        return result;
+    }
+
+    /**
+     * Find the next moment a published product enters or leaves its window
+     * @param {Array} products - All loaded products
+     * @param {Date} now - Reference date
+     * @returns {Date|null} Next transition or null if none
+     */
+    static getNextTransition(products, now = new Date()) {
+        let next = null;
+
+        products.forEach(product => {
+            if (!this.isPublished(product)) return;
+            [product.data_inicio_promocao, product.data_fim_promocao].forEach(date => {
+                if (date && date.getTime() > now.getTime() && (!next || date.getTime() < next.getTime())) {
+                    next = date;
+                }
+            });
+        });
+
+        return next;
+    }
+}
+
+// Export for use in other modules
+window.PromotionLifecycle = PromotionLifecycle;
@@ -0,0 +1,247 @@
+// "Você também pode gostar" recommendations and "same product on other platforms" for the product modal
+
+class Recommendations {
+    /**
+     * Score weights: shared category, shared niches, title similarity and price closeness
+     * @returns {Object} Weights
+     */
+    static get WEIGHTS() {
+        return { category: 3, niches: 2, title: 4, price: 1 };
+    }
+
+    /**
+     * Title similarity from which two products on different platforms count as the same product
+     * @returns {number} Jaccard similarity (0-1)
+     */
+    static get SAME_PRODUCT_SIMILARITY() {
+        return 0.6;
+    }
+
+    /**
+     * Minimum score for a product to be recommended
+     * @returns {number} Score
+     */
+    static get MIN_SCORE() {
+        return 2;
+    }
+
+    /**
+     * Set the products recommendations are picked from (live products)
+     * @param {Array} products - Products
+     */
+    static setProducts(products) {
+        this.products = products || [];
+        this.titleTokens = new Map(this.products.map(product => [product.id, this.getTitleTokens(product)]));
+    }
+
+    /**
+     * Stemmed title words (same tokenizer as the search index)
+     * @param {Object} product - Product data
+     * @returns {Set<string>} Tokens
+     */
+    static getTitleTokens(product) {
+        return new Set(SearchIndex.tokenize(product.titulo || '').map(word => SearchIndex.stem(word)));
+    }
+
+    /**
+     * Jaccard similarity of two sets
+     * @param {Set|Array} a - First set
+     * @param {Set|Array} b - Second set
+     * @returns {number} Similarity (0-1)
+     */
+    static jaccard(a, b) {
+        const setA = a instanceof Set ? a : new Set(a);
+        const setB = b instanceof Set ? b : new Set(b);
+        if (setA.size === 0 || setB.size === 0) return 0;
+
+        let shared = 0;
+        setA.forEach(item => {
+            if (setB.has(item)) shared++;
+        });
+        return shared / (setA.size + setB.size - shared);
+    }
+
+    /**
+     * Title similarity between two products
+     * @param {Object} a - First product
+     * @param {Object} b - Second product
+     * @returns {number} Similarity (0-1)
+     */
+    static titleSimilarity(a, b) {
+        const tokensA = this.titleTokens.get(a.id) || this.getTitleTokens(a);
+        const tokensB = this.titleTokens.get(b.id) || this.getTitleTokens(b);
+        return this.jaccard(tokensA, tokensB);
+    }
+
+    /**
+     * Score how related a candidate is to a product
+     * @param {Object} product - Product being viewed
+     * @param {Object} candidate - Candidate product
+     * @returns {number} Score
+     */
+    static score(product, candidate) {
+        const weights = this.WEIGHTS;
+        let score = 0;
+
+        if (product.categoria_principal && product.categoria_principal === candidate.categoria_principal) {
+            score += weights.category;
+        }
+
+        score += weights.niches * this.jaccard(product.nichos || [], candidate.nichos || []);
+        score += weights.title * this.titleSimilarity(product, candidate);
+
+        const a = product.preco_promocional;
+        const b = candidate.preco_promocional;
+        if (a > 0 && b > 0) {
+            score += weights.price * (1 - Math.min(1, Math.abs(a - b) / Math.max(a, b)));
+        }
+
+        return score;
+    }
+
+    /**
+     * Find recommendations for a product
+     * @param {Object} product - Product being viewed
+     * @param {Object} options - { limit, otherPlatformsLimit }
+     * @returns {Object} { similar: [], otherPlatforms: [] }
+     */
+    static find(product, { limit = 8, otherPlatformsLimit = 4 } = {}) {
+        const similar = [];
+        const otherPlatforms = [];
+        // Ofertas agrupadas com o produto (mesmo EAN/SKU ou título) são o mesmo item
+        const offers = typeof ProductGrouping !== 'undefined' ? new Set(ProductGrouping.getOffers(product)) : new Set();
+
+        (this.products || []).forEach(candidate => {
+            if (candidate.id === product.id) return;
+
+            const sameProduct = product.plataforma && candidate.plataforma &&
+                candidate.plataforma !== product.plataforma &&
+                (offers.has(candidate) || this.titleSimilarity(product, candidate) >= this.SAME_PRODUCT_SIMILARITY);
+            if (sameProduct) {
+                otherPlatforms.push(candidate);
+                return;
+            }
+
+            const score = this.score(product, candidate);
+            if (score >= this.MIN_SCORE) similar.push({ candidate, score });
+        });
+
+        const ranked = similar
+            .sort((a, b) => b.score - a.score || b.candidate.desconto_percentual - a.candidate.desconto_percentual)
+            .map(item => item.candidate);
+
+        return {
+            // Um card por item, como na listagem
+            similar: (typeof ProductGrouping !== 'undefined' ? ProductGrouping.collapse(ranked) : ranked).slice(0, limit),
+            otherPlatforms: otherPlatforms
+                .sort((a, b) => (a.preco_promocional || Infinity) - (b.preco_promocional || Infinity))
+                .slice(0, otherPlatformsLimit)
+        };
+    }
+
+    /**
+     * Open a recommended product in the modal, tracking the click
+     * @param {string} id - Product ID
+     * @param {string} action - trackClick action ('recommendation_click' or 'other_platform_click')
+     */
+    static open(id, action) {
+        const product = (this.products || []).find(p => p.id === id);
+        if (!product) return;
+
+        Utils.trackClick(product.id, product.plataforma, action);
+        ProductRenderer.showProductModal(product);
+    }
+
+    /**
+     * Render the recommendations block of the product modal
+     * @param {Object} product - Product being viewed
+     * @returns {string} HTML string (empty without recommendations)
+     */
+    static render(product) {
+        const { similar, otherPlatforms } = this.find(product);
+        if (!similar.length && !otherPlatforms.length) return '';
+
+        const otherPlatformsHtml = otherPlatforms.length ? `
+            <div class="mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-3">Mesmo produto em outras lojas</h3>
+                <ul class="space-y-2">
+                    ${otherPlatforms.map(other => `
+                        <li>
+                            <button type="button" class="recommendation-store" onclick="Recommendations.open('${other.id}', 'other_platform_click')">
+                                <span class="platform-badge ${Utils.getPlatformColorClass(other.plataforma)} text-white px-2 py-1 rounded text-xs font-medium">
+                                    ${Utils.sanitizeHtml(other.plataforma)}
+                                </span>
+                                <span class="flex-1 text-left text-sm text-gray-700 line-clamp-1">${Utils.sanitizeHtml(other.titulo)}</span>
+                                ${other.preco_promocional > 0 ? `
+                                    <span class="font-bold ${other.preco_promocional < product.preco_promocional ? 'text-green-600' : 'text-gray-800'}">
+                                        ${Utils.formatCurrency(other.preco_promocional)}
+                                    </span>
+                                ` : ''}
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+
+        const similarHtml = similar.length ? `
+            <div class="recommendations">
+                <div class="flex items-center justify-between mb-3">
+                    <h3 class="text-lg font-semibold text-gray-800">Você também pode gostar</h3>
+                    <div class="flex gap-2">
+                        <button type="button" class="recommendations-nav" aria-label="Anteriores"
+                            onclick="this.closest('.recommendations').querySelector('.recommendations-track').scrollBy({ left: -320, behavior: 'smooth' })">
+                            <i data-lucide="chevron-left" class="w-5 h-5"></i>
+                        </button>
+                        <button type="button" class="recommendations-nav" aria-label="Próximos"
+                            onclick="this.closest('.recommendations').querySelector('.recommendations-track').scrollBy({ left: 320, behavior: 'smooth' })">
+                            <i data-lucide="chevron-right" class="w-5 h-5"></i>
+                        </button>
+                    </div>
+                </div>
+                <ul class="recommendations-track">
+                    ${similar.map(item => this.renderItem(item)).join('')}
+                </ul>
+            </div>
+        ` : '';
+
+        return `
+            <div class="border-t border-gray-200 mt-6 pt-6">
+                ${otherPlatformsHtml}
+                ${similarHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a carousel item
+     * @param {Object} product - Recommended product
+     * @returns {string} HTML string
+     */
+    static renderItem(product) {
+        const image = ProductRenderer.getThumbnailSrc(product) || Utils.getPlaceholderImage(160, 120);
+
+        return `
+            <li class="recommendation-item">
+                <button type="button" class="w-full text-left" onclick="Recommendations.open('${product.id}', 'recommendation_click')">
+                    <img src="${image}" alt="" class="w-full h-28 object-cover rounded-md mb-2" loading="lazy"
+                         onerror="this.src='${Utils.getPlaceholderImage(160, 120)}'">
+                    <span class="block text-sm text-gray-800 line-clamp-2 mb-1">${Utils.sanitizeHtml(product.titulo)}</span>
+                    ${product.preco_promocional > 0 ? `
+                        <span class="block font-bold text-green-600">${Utils.formatCurrency(product.preco_promocional)}</span>
+                    ` : ''}
+                    ${product.desconto_percentual > 0 ? `
+                        <span class="text-xs text-red-600 font-medium">-${product.desconto_percentual}%</span>
+                    ` : ''}
+                </button>
+            </li>
+        `;
+    }
+}
+
+// Products recommendations are picked from
+Recommendations.products = [];
+Recommendations.titleTokens = new Map();
+
+// Export for use in other modules
+window.Recommendations = Recommendations;
@@ -0,0 +1,169 @@
+// Client-side router for product deep links (/produto/{id} e ?produto={id})
+
+class ProductRouter {
+    /**
+     * @param {Object} options - { findProduct: (id) => Object|undefined, onNavigate: () => void }
+     */
+    constructor({ findProduct, onNavigate } = {}) {
+        this.findProduct = findProduct || (() => undefined);
+        this.onNavigate = onNavigate || (() => {});
+        this.basePath = ProductRouter.getBasePath(window.location.pathname);
+        this.defaultTitle = document.title;
+        this.syncing = false;
+    }
+
+    /**
+     * Get the site base path from a pathname, dropping /produto/{id}, /categoria/{slug}
+     * (pre-rendered pages) and index.html
+     * @param {string} pathname - Location pathname
+     * @returns {string} Base path ending with '/'
+     */
+    static getBasePath(pathname) {
+        let base = pathname.replace(/index\.html$/, '').replace(/(produto|categoria)\/[^/]*\/?$/, '');
+        if (!base.endsWith('/')) base += '/';
+        return base;
+    }
+
+    /**
+     * Start listening to history and modal events and open the product in the URL, if any
+     */
+    init() {
+        window.addEventListener('popstate', () => this.syncWithLocation());
+        document.addEventListener('productmodal:open', (e) => this.handleModalOpen(e.detail.product));
+        document.addEventListener('productmodal:close', () => this.handleModalClose());
+
+        const productId = this.getProductIdFromLocation();
+        if (productId) {
+            // ?produto={id} (inclusive vindo do 404.html) vira a URL canônica /produto/{id}
+            this.openProduct(productId, { replace: true });
+        }
+
+        if (typeof Logger !== 'undefined') Logger.info('ProductRouter inicializado', { basePath: this.basePath, productId });
+    }
+
+    /**
+     * Read the product ID from the current URL
+     * @returns {string|null} Product ID or null
+     */
+    getProductIdFromLocation() {
+        const fromQuery = Utils.getQueryParam('produto');
+        if (fromQuery) return fromQuery;
+
+        const pathname = window.location.pathname;
+        if (!pathname.startsWith(`${this.basePath}produto/`)) return null;
+
+        const id = pathname.slice(`${this.basePath}produto/`.length).replace(/\/$/, '');
+        try {
+            return id ? decodeURIComponent(id) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Build the URL of a product page, keeping the current filter parameters
+     * @param {string} productId - Product ID
+     * @returns {string} Product URL
+     */
+    getProductUrl(productId) {
+        const url = new URL(window.location.href);
+        url.pathname = `${this.basePath}produto/${encodeURIComponent(productId)}`;
+        url.searchParams.delete('produto');
+        return url.pathname + url.search + url.hash;
+    }
+
+    /**
+     * Build the listing URL (no product open), keeping the current filter parameters
+     * @returns {string} Listing URL
+     */
+    getListUrl() {
+        const url = new URL(window.location.href);
+        url.pathname = this.basePath;
+        url.searchParams.delete('produto');
+        return url.pathname + url.search + url.hash;
+    }
+
+    /**
+     * Open a product by ID
+     * @param {string} productId - Product ID
+     * @param {Object} options - { replace: replace the history entry instead of pushing }
+     * @returns {boolean} True if the product was found
+     */
+    openProduct(productId, { replace = false } = {}) {
+        const product = this.findProduct(String(productId));
+
+        if (!product) {
+            if (typeof Logger !== 'undefined') Logger.warn('Produto da URL não encontrado', { productId });
+            Utils.showNotification('Produto não encontrado ou não está mais disponível.', 'error');
+            // Página pré-renderizada de um produto que saiu do banco
+            const staleModal = ProductRenderer.getOpenModal();
+            if (staleModal) staleModal.remove();
+            window.history.replaceState({}, '', this.getListUrl());
+            return false;
+        }
+
+        if (replace) {
+            window.history.replaceState({ produto: product.id }, '', this.getProductUrl(product.id));
+        }
+        ProductRenderer.showProductModal(product);
+        return true;
+    }
+
+    /**
+     * Update URL and title when a product modal opens
+     * @param {Object} product - Product shown in the modal
+     */
+    handleModalOpen(product) {
+        document.title = `${product.titulo} | ${this.defaultTitle}`;
+
+        if (!this.syncing && this.getProductIdFromLocation() !== product.id) {
+            window.history.pushState({ produto: product.id, fromApp: true }, '', this.getProductUrl(product.id));
+        }
+        this.onNavigate();
+    }
+
+    /**
+     * Restore URL and title when the product modal closes
+     */
+    handleModalClose() {
+        document.title = this.defaultTitle;
+
+        if (this.syncing || !this.getProductIdFromLocation()) return;
+
+        if (window.history.state && window.history.state.fromApp) {
+            // Entrada criada por nós: voltar mantém o histórico coerente com o botão "voltar"
+            window.history.back();
+        } else {
+            // Link direto para o produto: não há página anterior do site para onde voltar
+            window.history.replaceState({}, '', this.getListUrl());
+            this.onNavigate();
+        }
+    }
+
+    /**
+     * Open or close the modal to match the URL (back/forward buttons)
+     */
+    syncWithLocation() {
+        const productId = this.getProductIdFromLocation();
+        const modal = ProductRenderer.getOpenModal();
+
+        this.syncing = true;
+        try {
+            if (productId) {
+                if (!modal || modal.dataset.productId !== productId) {
+                    const product = this.findProduct(productId);
+                    if (product) ProductRenderer.showProductModal(product);
+                }
+            } else if (modal) {
+                ProductRenderer.closeProductModal();
+            } else {
+                this.onNavigate();
+            }
+        } finally {
+            this.syncing = false;
+        }
+    }
+}
+
+// Export for use in other modules
+window.ProductRouter = ProductRouter;
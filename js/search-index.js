@@ -0,0 +1,264 @@
+// Client-side full-text search index: accent folding, light Portuguese stemming,
+// typo tolerance, quoted phrases and -exclusions, with relevance scoring
+
+class SearchIndex {
+    constructor() {
+        this.documents = [];     // [{ product, text }]
+        this.postings = new Map(); // stem -> Map(docIndex -> weight)
+        this.vocabulary = [];
+    }
+
+    /**
+     * Weight of each indexed field
+     * @returns {Object} Field name -> weight
+     */
+    static get FIELD_WEIGHTS() {
+        return {
+            titulo: 5,
+            categoria_principal: 3,
+            nichos: 3,
+            plataforma: 2,
+            descricao: 1
+        };
+    }
+
+    /**
+     * Words ignored when indexing and searching
+     * @returns {Set<string>} Stopwords (already normalized)
+     */
+    static get STOPWORDS() {
+        if (!this.stopwordSet) {
+            this.stopwordSet = new Set([
+                'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos',
+                'e', 'em', 'no', 'na', 'nos', 'nas', 'com', 'para', 'pra', 'por', 'ao', 'aos', 'ou'
+            ]);
+        }
+        return this.stopwordSet;
+    }
+
+    /**
+     * Split normalized text into words
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words (accent-folded, lowercase, no stopwords)
+     */
+    static tokenize(text) {
+        return Utils.normalizeText(text)
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !this.STOPWORDS.has(word));
+    }
+
+    /**
+     * Light Portuguese stemmer: only reduces plurals to singular
+     * ("fones" -> "fone", "eletronicos" -> "eletronico", "botoes" -> "botao")
+     * @param {string} word - Normalized word
+     * @returns {string} Stem
+     */
+    static stem(word) {
+        if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+        if (/(oes|aes)$/.test(word)) return word.slice(0, -3) + 'ao';
+        if (/ais$/.test(word)) return word.slice(0, -3) + 'al';
+        if (/eis$/.test(word)) return word.slice(0, -3) + 'el';
+        if (/ns$/.test(word)) return word.slice(0, -2) + 'm';
+        if (/(r|z|s)es$/.test(word)) return word.slice(0, -2);
+        if (/[^su]s$/.test(word)) return word.slice(0, -1);
+
+        return word;
+    }
+
+    /**
+     * Maximum edit distance tolerated for a term
+     * @param {string} term - Search term
+     * @returns {number} Allowed typos
+     */
+    static maxEdits(term) {
+        if (term.length <= 3) return 0;
+        if (term.length <= 6) return 1;
+        return 2;
+    }
+
+    /**
+     * Optimal string alignment distance (Damerau-Levenshtein with adjacent transpositions),
+     * giving up early once the distance exceeds max
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Maximum distance of interest
+     * @returns {number} Distance, or max + 1 if larger
+     */
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = current;
+        }
+
+        return prev[b.length];
+    }
+
+    /**
+     * Parse a query into terms, quoted phrases and exclusions
+     * ('fone "sem fio" -infantil' -> terms: [fone], phrases: [sem fio], exclude: [infantil])
+     * @param {string} query - Raw query
+     * @returns {Object} { terms, phrases, excludeTerms, excludePhrases }
+     */
+    static parseQuery(query) {
+        const parsed = { terms: [], phrases: [], excludeTerms: [], excludePhrases: [] };
+        const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(String(query || ''))) !== null) {
+            if (match[2] !== undefined) {
+                const phrase = this.tokenize(match[2]).join(' ');
+                if (phrase) (match[1] ? parsed.excludePhrases : parsed.phrases).push(phrase);
+            } else {
+                const words = this.tokenize(match[4]).map(word => this.stem(word));
+                (match[3] ? parsed.excludeTerms : parsed.terms).push(...words);
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Build the index
+     * @param {Array} products - Products to index
+     */
+    build(products) {
+        this.documents = [];
+        this.postings = new Map();
+        const weights = SearchIndex.FIELD_WEIGHTS;
+
+        products.forEach((product, docIndex) => {
+            const fieldTexts = [];
+
+            Object.keys(weights).forEach(field => {
+                const value = Array.isArray(product[field]) ? product[field].join(' ') : (product[field] || '');
+                const words = SearchIndex.tokenize(value);
+                fieldTexts.push(words.join(' '));
+
+                words.forEach(word => {
+                    const stem = SearchIndex.stem(word);
+                    if (!this.postings.has(stem)) this.postings.set(stem, new Map());
+                    const docs = this.postings.get(stem);
+                    docs.set(docIndex, (docs.get(docIndex) || 0) + weights[field]);
+                });
+            });
+
+            // texto normalizado, com os campos separados, para frases entre aspas
+            this.documents.push({ product, text: ` ${fieldTexts.join(' | ')} ` });
+        });
+
+        this.vocabulary = Array.from(this.postings.keys());
+        if (typeof Logger !== 'undefined') Logger.info('Índice de busca construído', { products: products.length, terms: this.vocabulary.length });
+    }
+
+    /**
+     * Find indexed stems matching a query term, with a quality factor
+     * (exact 1, prefix 0.8, typo 0.6 / 0.4)
+     * @param {string} term - Stemmed query term
+     * @returns {Array} [{ stem, quality }]
+     */
+    expandTerm(term) {
+        const matches = [];
+
+        this.vocabulary.forEach(stem => {
+            const quality = SearchIndex.matchQuality(term, stem);
+            if (quality > 0) matches.push({ stem, quality });
+        });
+
+        return matches;
+    }
+
+    /**
+     * How well an indexed stem matches a query term (also used by the SQL filters, see ProductsDatabase)
+     * @param {string} term - Stemmed query term
+     * @param {string} stem - Indexed stem
+     * @returns {number} Quality: exact 1, prefix 0.8, typo 0.6 / 0.4, or 0 when it does not match
+     */
+    static matchQuality(term, stem) {
+        if (stem === term) return 1;
+        if (term.length >= 3 && stem.startsWith(term)) return 0.8;
+
+        const maxEdits = this.maxEdits(term);
+        if (maxEdits === 0) return 0;
+        const distance = this.editDistance(term, stem, maxEdits);
+        if (distance > maxEdits) return 0;
+        return distance === 1 ? 0.6 : 0.4;
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Raw query
+     * @returns {Map|null} Product ID -> relevance score for matching products,
+     *                     or null if the query has nothing to search for
+     */
+    search(query) {
+        const { terms, phrases, excludeTerms, excludePhrases } = SearchIndex.parseQuery(query);
+        if (!terms.length && !phrases.length && !excludeTerms.length && !excludePhrases.length) return null;
+
+        const total = this.documents.length;
+        let candidates = null; // Map(docIndex -> score); null = todos os documentos
+
+        // Cada termo precisa casar com algum campo (E lógico)
+        terms.forEach(term => {
+            const scores = new Map();
+            this.expandTerm(term).forEach(({ stem, quality }) => {
+                const docs = this.postings.get(stem);
+                const idf = Math.log(1 + total / docs.size);
+                docs.forEach((weight, docIndex) => {
+                    const score = weight * quality * idf;
+                    if (score > (scores.get(docIndex) || 0)) scores.set(docIndex, score);
+                });
+            });
+
+            if (candidates === null) {
+                candidates = scores;
+            } else {
+                const next = new Map();
+                candidates.forEach((score, docIndex) => {
+                    if (scores.has(docIndex)) next.set(docIndex, score + scores.get(docIndex));
+                });
+                candidates = next;
+            }
+        });
+
+        if (candidates === null) {
+            candidates = new Map(this.documents.map((_, docIndex) => [docIndex, 0]));
+        }
+
+        const results = new Map();
+        candidates.forEach((score, docIndex) => {
+            const { product, text } = this.documents[docIndex];
+
+            if (!phrases.every(phrase => text.includes(` ${phrase} `))) return;
+            if (excludePhrases.some(phrase => text.includes(` ${phrase} `))) return;
+            if (excludeTerms.some(term => {
+                const docs = this.postings.get(term);
+                return docs && docs.has(docIndex);
+            })) return;
+
+            results.set(product.id, score + phrases.length * 10);
+        });
+
+        return results;
+    }
+}
+
+// Export for use in other modules
+window.SearchIndex = SearchIndex;
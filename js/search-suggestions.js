@@ -0,0 +1,392 @@
+// Search-as-you-type suggestions under #search-input (ARIA combobox pattern)
+
+class SearchSuggestions {
+    /**
+     * @param {Object} options - { filtersManager, onSelectProduct: (product) => void }
+     */
+    constructor({ filtersManager, onSelectProduct } = {}) {
+        this.filtersManager = filtersManager;
+        this.onSelectProduct = onSelectProduct || (() => {});
+        this.input = document.getElementById('search-input');
+        this.list = null;
+        this.items = [];
+        this.activeIndex = -1;
+
+        if (this.input) {
+            this.createListbox();
+            this.initializeEventListeners();
+        }
+    }
+
+    /**
+     * localStorage key for recent searches
+     * @returns {string} Storage key
+     */
+    static get STORAGE_KEY() {
+        return 'buscas-recentes';
+    }
+
+    /**
+     * Maximum number of suggestions per group
+     * @returns {Object} Group -> limit
+     */
+    static get LIMITS() {
+        return { product: 5, category: 3, platform: 2, recent: 5 };
+    }
+
+    /**
+     * Create the listbox element and the combobox ARIA attributes
+     */
+    createListbox() {
+        this.list = document.createElement('ul');
+        this.list.id = 'search-suggestions';
+        this.list.className = 'search-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.setAttribute('aria-label', 'Sugestões de busca');
+        this.list.hidden = true;
+        this.input.parentElement.appendChild(this.list);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('autocomplete', 'off');
+    }
+
+    /**
+     * Initialize input and listbox event listeners
+     */
+    initializeEventListeners() {
+        this.input.addEventListener('input', Utils.debounce(() => this.update(), 100));
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Fecha ao perder o foco (depois do clique numa sugestão ser processado)
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        // mousedown evita que o input perca o foco antes da seleção
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (!option) return;
+            e.preventDefault();
+            this.select(Number(option.dataset.index));
+        });
+    }
+
+    /**
+     * Handle keyboard navigation in the combobox
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const isOpen = !this.list.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) this.update();
+                this.setActive(this.activeIndex + 1 >= this.items.length ? 0 : this.activeIndex + 1);
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) this.update();
+                this.setActive(this.activeIndex <= 0 ? this.items.length - 1 : this.activeIndex - 1);
+                break;
+
+            case 'Enter':
+                if (isOpen && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                } else {
+                    this.saveRecentSearch(this.input.value);
+                    this.close();
+                }
+                break;
+
+            case 'Escape':
+                if (isOpen) {
+                    e.stopPropagation();
+                    this.close();
+                }
+                break;
+
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Build suggestions for the current input value and render them
+     */
+    update() {
+        const query = this.input.value.trim();
+        this.items = query ? this.getSuggestions(query) : this.getRecentSuggestions();
+        this.render(query);
+    }
+
+    /**
+     * Get product, category and platform suggestions for a query
+     * @param {string} query - Typed text
+     * @returns {Array} Suggestion items
+     */
+    getSuggestions(query) {
+        const limits = SearchSuggestions.LIMITS;
+        const products = this.filtersManager.allProducts;
+        const items = [];
+
+        const scores = this.filtersManager.searchIndex.search(query);
+        if (scores) {
+            products
+                .filter(product => scores.has(product.id))
+                .sort((a, b) => scores.get(b.id) - scores.get(a.id))
+                .slice(0, limits.product)
+                .forEach(product => items.push({ type: 'product', value: product.id, label: product.titulo, product }));
+        }
+
+        const folded = Utils.normalizeText(query);
+        const addDistinct = (type, field, limit) => {
+            const seen = new Set();
+            products.forEach(product => {
+                const value = product[field];
+                if (!value || seen.has(value) || seen.size >= limit) return;
+                if (Utils.normalizeText(value).includes(folded)) {
+                    seen.add(value);
+                    items.push({ type, value, label: value });
+                }
+            });
+        };
+        addDistinct('category', 'categoria_principal', limits.category);
+        addDistinct('platform', 'plataforma', limits.platform);
+
+        return items;
+    }
+
+    /**
+     * Get recent search suggestions
+     * @returns {Array} Suggestion items
+     */
+    getRecentSuggestions() {
+        return this.getRecentSearches().map(term => ({ type: 'recent', value: term, label: term }));
+    }
+
+    /**
+     * Render the listbox
+     * @param {string} query - Typed text (for highlighting)
+     */
+    render(query) {
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        const headings = {
+            product: 'Produtos',
+            category: 'Categorias',
+            platform: 'Lojas',
+            recent: 'Buscas recentes'
+        };
+
+        let lastType = null;
+        this.list.innerHTML = this.items.map((item, index) => {
+            const heading = item.type !== lastType
+                ? `<li class="search-suggestions-heading" role="presentation">${headings[item.type]}</li>`
+                : '';
+            lastType = item.type;
+            return heading + this.renderItem(item, index, query);
+        }).join('');
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Render a single suggestion
+     * @param {Object} item - Suggestion item
+     * @param {number} index - Item index
+     * @param {string} query - Typed text
+     * @returns {string} HTML string for the option
+     */
+    renderItem(item, index, query) {
+        const label = this.highlight(item.label, query);
+        let content;
+
+        if (item.type === 'product') {
+            const product = item.product;
+            const thumb = ProductRenderer.getThumbnailSrc(product) || Utils.getPlaceholderImage(48, 48);
+            content = `
+                <img src="${thumb}" alt="" class="search-suggestion-thumb" onerror="this.src='${Utils.getPlaceholderImage(48, 48)}'">
+                <span class="search-suggestion-text">
+                    <span class="search-suggestion-label">${label}</span>
+                    <span class="search-suggestion-meta">
+                        ${product.preco_promocional > 0 ? Utils.formatCurrency(product.preco_promocional) + ' · ' : ''}${Utils.sanitizeHtml(product.plataforma)}
+                    </span>
+                </span>
+            `;
+        } else {
+            const icons = { category: 'tag', platform: 'store', recent: 'history' };
+            const prefixes = { category: 'Categoria: ', platform: 'Loja: ', recent: '' };
+            content = `
+                <i data-lucide="${icons[item.type]}" class="w-4 h-4 text-gray-400"></i>
+                <span class="search-suggestion-label">${prefixes[item.type]}${label}</span>
+            `;
+        }
+
+        return `
+            <li id="search-suggestion-${index}" class="search-suggestion" role="option" aria-selected="false" data-index="${index}">
+                ${content}
+            </li>
+        `;
+    }
+
+    /**
+     * Wrap the parts of text matching the query words in <mark>, ignoring accents and case
+     * @param {string} text - Text to highlight
+     * @param {string} query - Typed text
+     * @returns {string} Sanitized HTML
+     */
+    highlight(text, query) {
+        text = String(text || '');
+        const words = Utils.normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean);
+        if (!words.length) return Utils.sanitizeHtml(text);
+
+        // Texto normalizado com o índice do caractere original de cada posição
+        let folded = '';
+        const origin = [];
+        for (let i = 0; i < text.length; i++) {
+            const f = Utils.normalizeText(text[i]);
+            for (let k = 0; k < f.length; k++) {
+                folded += f[k];
+                origin.push(i);
+            }
+        }
+
+        const marked = new Array(text.length).fill(false);
+        words.forEach(word => {
+            let pos = folded.indexOf(word);
+            while (pos !== -1) {
+                for (let k = pos; k < pos + word.length; k++) marked[origin[k]] = true;
+                pos = folded.indexOf(word, pos + word.length);
+            }
+        });
+
+        let html = '';
+        let i = 0;
+        while (i < text.length) {
+            let j = i;
+            while (j < text.length && marked[j] === marked[i]) j++;
+            const part = Utils.sanitizeHtml(text.slice(i, j));
+            html += marked[i] ? `<mark>${part}</mark>` : part;
+            i = j;
+        }
+        return html;
+    }
+
+    /**
+     * Move the active option (aria-activedescendant)
+     * @param {number} index - Option index
+     */
+    setActive(index) {
+        if (!this.items.length) return;
+
+        const previous = this.list.querySelector('[aria-selected="true"]');
+        if (previous) previous.setAttribute('aria-selected', 'false');
+
+        this.activeIndex = index;
+        const option = document.getElementById(`search-suggestion-${index}`);
+        if (option) {
+            option.setAttribute('aria-selected', 'true');
+            option.scrollIntoView({ block: 'nearest' });
+            this.input.setAttribute('aria-activedescendant', option.id);
+        }
+    }
+
+    /**
+     * Apply a suggestion
+     * @param {number} index - Option index
+     */
+    select(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        const query = this.input.value.trim();
+        this.close();
+        // A busca do texto digitado ainda pendente (debounce) sobrescreveria a escolha
+        if (item.type !== 'product') this.filtersManager.cancelPendingSearch();
+
+        switch (item.type) {
+            case 'product':
+                this.saveRecentSearch(query);
+                this.onSelectProduct(item.product);
+                break;
+
+            case 'category':
+            case 'platform':
+                // O texto digitado serviu para achar o filtro; a busca é substituída por ele
+                this.filtersManager.updateFilter('search', '');
+                this.filtersManager.updateFilter(item.type, item.value);
+                break;
+
+            case 'recent':
+                this.saveRecentSearch(item.value);
+                this.filtersManager.updateFilter('search', item.value);
+                break;
+        }
+
+        if (typeof Logger !== 'undefined') Logger.info('Sugestão de busca selecionada', { type: item.type, value: item.value });
+    }
+
+    /**
+     * Close the listbox
+     */
+    close() {
+        if (!this.list || this.list.hidden) return;
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Read recent searches from localStorage
+     * @returns {Array<string>} Most recent first
+     */
+    getRecentSearches() {
+        try {
+            const raw = localStorage.getItem(SearchSuggestions.STORAGE_KEY);
+            const list = raw ? JSON.parse(raw) : [];
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Save a search term as the most recent one
+     * @param {string} term - Search term
+     */
+    saveRecentSearch(term) {
+        term = String(term || '').trim();
+        if (!term) return;
+
+        const folded = Utils.normalizeText(term);
+        const list = this.getRecentSearches().filter(t => Utils.normalizeText(t) !== folded);
+        list.unshift(term);
+
+        try {
+            localStorage.setItem(SearchSuggestions.STORAGE_KEY, JSON.stringify(list.slice(0, SearchSuggestions.LIMITS.recent)));
+        } catch (e) {
+            // localStorage cheio ou indisponível
+        }
+    }
+}
+
+// Export for use in other modules
+window.SearchSuggestions = SearchSuggestions;
@@ -0,0 +1,193 @@
+// Schema.org structured data (JSON-LD) for products and niche sections
+
+class StructuredData {
+    /**
+     * Absolute URL of a product page
+     * @param {Object} product - Product data
+     * @param {string} baseUrl - Site URL (defaults to the current origin)
+     * @returns {string} Product URL
+     */
+    static getProductUrl(product, baseUrl = window.location.origin) {
+        return `${baseUrl.replace(/\/$/, '')}/produto/${encodeURIComponent(product.id)}`;
+    }
+
+    /**
+     * Check for a finite number greater than zero
+     * @param {*} value - Value to check
+     * @returns {boolean} True if positive number
+     */
+    static isPositive(value) {
+        return typeof value === 'number' && isFinite(value) && value > 0;
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD
+     * @param {Date|null} date - Date
+     * @returns {string|null} ISO date or null
+     */
+    static toIsoDate(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Build a schema.org Product + Offer object.
+     * Missing or invalid fields are left out instead of producing invalid markup.
+     * @param {Object} product - Product data
+     * @param {Object} options - { baseUrl }
+     * @returns {Object|null} JSON-LD object, or null without a name or without an offer/rating
+     */
+    static buildProduct(product, { baseUrl } = {}) {
+        if (!product || !product.titulo) return null;
+
+        const url = this.getProductUrl(product, baseUrl);
+        const images = (product.imagens_base64 || []).filter(img => /^https?:\/\//i.test(img));
+
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'Product',
+            '@id': url,
+            name: product.titulo,
+            url
+        };
+
+        if (product.descricao) data.description = product.descricao;
+        if (images.length) data.image = images;
+        if (product.categoria_principal) data.category = product.categoria_principal;
+        if (product.id) data.sku = String(product.id);
+
+        // Offer só é válida com preço, e o preço promocional não vale mais após o fim da promoção
+        const price = this.isPositive(product.preco_promocional) ? product.preco_promocional
+                    : this.isPositive(product.preco_original) ? product.preco_original
+                    : null;
+        const ended = product.data_fim_promocao instanceof Date && product.data_fim_promocao.getTime() <= Date.now();
+        if (price !== null && !ended) {
+            const offer = {
+                '@type': 'Offer',
+                url,
+                price: price.toFixed(2),
+                priceCurrency: 'BRL',
+                availability: 'https://schema.org/InStock',
+                itemCondition: 'https://schema.org/NewCondition'
+            };
+
+            const validUntil = this.toIsoDate(product.data_fim_promocao);
+            if (validUntil) offer.priceValidUntil = validUntil;
+
+            if (product.plataforma) {
+                offer.seller = { '@type': 'Organization', name: product.plataforma };
+            }
+
+            // Preço "de" só quando de fato maior que o promocional
+            if (this.isPositive(product.preco_original) && product.preco_original > price) {
+                offer.priceSpecification = {
+                    '@type': 'UnitPriceSpecification',
+                    priceType: 'https://schema.org/StrikethroughPrice',
+                    price: product.preco_original.toFixed(2),
+                    priceCurrency: 'BRL'
+                };
+            }
+
+            data.offers = offer;
+        }
+
+        // AggregateRating exige nota válida e o número real de avaliações (vendas não são avaliações)
+        if (this.isPositive(product.avaliacao) && product.avaliacao <= 5 && this.isPositive(product.total_avaliacoes)) {
+            data.aggregateRating = {
+                '@type': 'AggregateRating',
+                ratingValue: product.avaliacao.toFixed(1),
+                bestRating: '5',
+                worstRating: '0',
+                ratingCount: Math.round(product.total_avaliacoes)
+            };
+        }
+
+        // Product sem offers nem aggregateRating é marcação inválida
+        if (!data.offers && !data.aggregateRating) return null;
+
+        return data;
+    }
+
+    /**
+     * Build a schema.org ItemList for a niche section
+     * @param {Array} products - Products in the section (in display order)
+     * @param {string} name - Section name
+     * @param {Object} options - { baseUrl }
+     * @returns {Object|null} JSON-LD object, or null when empty
+     */
+    static buildItemList(products, name, { baseUrl } = {}) {
+        const items = products.filter(product => product && product.id);
+        if (!items.length) return null;
+
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'ItemList',
+            name,
+            numberOfItems: items.length,
+            itemListElement: items.map((product, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                url: this.getProductUrl(product, baseUrl),
+                name: product.titulo || undefined
+            }))
+        };
+    }
+
+    /**
+     * Serialize JSON-LD into a script tag (escaping "</" so it can't close the tag)
+     * @param {Object|Array} data - JSON-LD object or array
+     * @param {string} id - Optional element ID
+     * @returns {string} HTML script tag
+     */
+    static toScriptTag(data, id = '') {
+        const json = JSON.stringify(data).replace(/</g, '\\u003c');
+        return `<script type="application/ld+json"${id ? ` id="${id}"` : ''}>${json}</script>`;
+    }
+
+    /**
+     * Insert or replace a JSON-LD script in <head>
+     * @param {string} id - Element ID
+     * @param {Object|Array|null} data - JSON-LD object or array (null removes the script)
+     */
+    static inject(id, data) {
+        let script = document.getElementById(id);
+
+        if (!data) {
+            if (script) script.remove();
+            return;
+        }
+
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = id;
+            document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(data);
+    }
+
+    /**
+     * Inject Product JSON-LD for the products rendered in a container.
+     * One script per container, replaced on every render.
+     * @param {string} containerId - Grid container ID
+     * @param {Array} products - Rendered products
+     */
+    static injectProducts(containerId, products) {
+        const data = products.map(product => this.buildProduct(product)).filter(Boolean);
+        this.inject(`ld-produtos-${containerId}`, data.length ? data : null);
+        if (typeof Logger !== 'undefined') Logger.debug('JSON-LD de produtos atualizado', { containerId, count: data.length });
+    }
+
+    /**
+     * Inject the ItemList JSON-LD of a section
+     * @param {string} containerId - Grid container ID
+     * @param {Array} products - Products in the section
+     * @param {string} name - Section name
+     */
+    static injectItemList(containerId, products, name) {
+        this.inject(`ld-lista-${containerId}`, this.buildItemList(products, name));
+    }
+}
+
+// Export for use in other modules
+window.StructuredData = StructuredData;
@@ -4,11 +4,11 @@
  * Debounce function to limit the rate of function execution
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
- * @returns {Function} Debounced function
+ * @returns {Function} Debounced function (with cancel() to drop a pending call)
  */
 function debounce(func, wait) {
     let timeout;
-    return function executedFunction(...args) {
+    const executedFunction = function (...args) {
         const later = () => {
             clearTimeout(timeout);
             func(...args);
@@ -16,6 +16,8 @@ function debounce(func, wait) {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
 }
 
 /**
@@ -107,6 +109,32 @@ function sanitizeHtml(str) {
     return temp.innerHTML;
 }
 
+/**
+ * Escape a string for use inside an HTML attribute value (sanitizeHtml keeps quotes)
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeAttr(str) {
+    return String(str === null || str === undefined ? '' : str)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Normalize text for comparisons: lowercase and without accents
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
 /**
  * Truncate text to specified length
  * @param {string} text - Text to truncate
@@ -232,28 +260,41 @@ function isInViewport(element) {
 }
 
 /**
- * Lazy load images
+ * Lazy load images: each img[data-src] gets its src when it approaches the viewport.
+ * Safe to call after every render (images already loaded or observed are skipped).
  * @param {string} selector - CSS selector for images to lazy load
  */
 function lazyLoadImages(selector = 'img[data-src]') {
-    if (typeof Logger !== 'undefined') Logger.info('Iniciando lazyLoadImages', { selector });
-    const images = document.querySelectorAll(selector);
+    const load = (img) => {
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+        img.classList.remove('lazy');
+    };
     
-    const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                img.src = img.dataset.src;
-                img.classList.remove('lazy');
-                imageObserver.unobserve(img);
-
-                // Logger
-                if (typeof Logger !== 'undefined') Logger.info('Imagem carregada', { src: img.src });
-            }
-        });
-    });
+    const images = Array.from(document.querySelectorAll(selector)).filter(img => !img.dataset.lazyObserved);
+    if (images.length === 0) return;
+    if (typeof Logger !== 'undefined') Logger.debug('lazyLoadImages', { selector, count: images.length });
+    
+    // Sem IntersectionObserver carrega tudo de uma vez
+    if (typeof IntersectionObserver === 'undefined') {
+        images.forEach(load);
+        return;
+    }
     
-    images.forEach(img => imageObserver.observe(img));
+    if (!lazyLoadImages.observer) {
+        lazyLoadImages.observer = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                if (entry.target.dataset.src) load(entry.target);
+            });
+        }, { rootMargin: '200px 0px' });
+    }
+    
+    images.forEach(img => {
+        img.dataset.lazyObserved = '';
+        lazyLoadImages.observer.observe(img);
+    });
 }
 
 /**
@@ -425,6 +466,8 @@ window.Utils = {
     getPlatformColor,
     generateId,
     sanitizeHtml,
+    escapeAttr,
+    normalizeText,
     truncateText,
     isValidImageUrl,
     getPlaceholderImage,
@@ -0,0 +1,248 @@
+// Windowed rendering for large CSS grids: only the rows near the viewport are in the DOM
+
+class VirtualGrid {
+    /**
+     * Rows rendered above and below the visible ones
+     * @returns {number} Rows
+     */
+    static get BUFFER_ROWS() {
+        return 3;
+    }
+
+    /**
+     * Row height used before the first row can be measured
+     * @returns {number} Pixels
+     */
+    static get ESTIMATED_ROW_HEIGHT() {
+        return 420;
+    }
+
+    /**
+     * @param {HTMLElement} container - Grid container (display: grid; columns come from its CSS)
+     * @param {Object} options - { renderItem: (item) => string, getKey: (item) => string, onRender: () => void, label }
+     */
+    constructor(container, { renderItem, getKey, onRender, label } = {}) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.getKey = getKey || ((item) => item.id);
+        this.onRender = onRender || (() => {});
+        this.items = [];
+        this.columns = 1;
+        this.rowStride = VirtualGrid.ESTIMATED_ROW_HEIGHT;
+        this.rowGap = 0;
+        this.measured = false;
+        this.range = { first: 0, last: 0 };
+        this.focusedIndex = null;
+        this.frame = null;
+
+        // Key -> cell in the DOM; cells out of the window go back to the pool and are reused
+        this.cells = new Map();
+        this.pool = [];
+        this.cellItems = new WeakMap();
+
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        this.container.innerHTML = '';
+        this.container.append(this.topSpacer, this.bottomSpacer);
+        this.container.setAttribute('role', 'list');
+        if (label) this.container.setAttribute('aria-label', label);
+        this.container.dataset.virtualized = '';
+
+        this.handleScroll = () => this.scheduleUpdate();
+        this.handleResize = () => {
+            this.measured = false;
+            this.scheduleUpdate();
+        };
+        this.handleFocusIn = (e) => {
+            const cell = e.target.closest('.virtual-grid-cell');
+            this.focusedIndex = cell ? Number(cell.dataset.index) : null;
+        };
+        this.handleFocusOut = (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.focusedIndex = null;
+        };
+
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleResize);
+        this.container.addEventListener('focusin', this.handleFocusIn);
+        this.container.addEventListener('focusout', this.handleFocusOut);
+    }
+
+    /**
+     * Create a spacer standing in for the rows outside the window
+     * @returns {HTMLElement} Spacer
+     */
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-grid-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.style.display = 'none';
+        return spacer;
+    }
+
+    /**
+     * Replace the items (cells of items still in the window are kept)
+     * @param {Array} items - Items to show
+     */
+    setItems(items) {
+        this.items = items || [];
+        this.measured = false;
+        this.update();
+    }
+
+    /**
+     * Update on the next animation frame (scroll events come faster than frames)
+     */
+    scheduleUpdate() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Read the column count and the row height (including the gap) from the rendered grid
+     */
+    measure() {
+        const style = getComputedStyle(this.container);
+        this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+        this.rowGap = parseFloat(style.rowGap) || 0;
+
+        const firstRow = Array.from(this.cells.values()).filter(cell => Number(cell.dataset.index) < this.range.first * this.columns + this.columns);
+        const height = Math.max(0, ...firstRow.map(cell => cell.offsetHeight));
+        if (height > 0) {
+            this.rowStride = height + this.rowGap;
+            this.measured = true;
+        }
+    }
+
+    /**
+     * Compute the rows to render from the container position in the viewport
+     * @returns {Object} { first, last } row range (last exclusive)
+     */
+    getRange() {
+        const totalRows = Math.ceil(this.items.length / this.columns);
+        const top = -this.container.getBoundingClientRect().top;
+        const buffer = VirtualGrid.BUFFER_ROWS;
+
+        let first = Math.max(0, Math.floor(top / this.rowStride) - buffer);
+        let last = Math.min(totalRows, Math.ceil((top + window.innerHeight) / this.rowStride) + buffer);
+        first = Math.min(first, Math.max(0, totalRows - 1));
+        last = Math.max(last, Math.min(totalRows, first + 1));
+
+        // Não recicla o card com foco enquanto ele estiver por perto (Tab continua de onde parou)
+        if (this.focusedIndex !== null && this.focusedIndex < this.items.length) {
+            const focusedRow = Math.floor(this.focusedIndex / this.columns);
+            const windowRows = last - first;
+            if (focusedRow < first && first - focusedRow <= windowRows) first = focusedRow;
+            if (focusedRow >= last && focusedRow - last < windowRows) last = focusedRow + 1;
+        }
+
+        return { first, last };
+    }
+
+    /**
+     * Render the rows in the window, reusing cells, and size the spacers
+     */
+    update() {
+        if (!this.measured) this.measure();
+
+        this.range = this.getRange();
+        const { first, last } = this.range;
+        const start = first * this.columns;
+        const end = Math.min(this.items.length, last * this.columns);
+
+        const wanted = new Map();
+        for (let index = start; index < end; index++) {
+            wanted.set(String(this.getKey(this.items[index])), index);
+        }
+
+        // Cells out of the window go back to the pool
+        this.cells.forEach((cell, key) => {
+            if (wanted.has(key)) return;
+            cell.remove();
+            this.cells.delete(key);
+            this.pool.push(cell);
+        });
+        this.pool.length = Math.min(this.pool.length, end - start);
+
+        let reference = this.topSpacer.nextSibling;
+        let rendered = 0;
+        wanted.forEach((index, key) => {
+            const item = this.items[index];
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = this.pool.pop() || this.createCell();
+                this.cells.set(key, cell);
+            }
+            if (this.cellItems.get(cell) !== item) {
+                cell.innerHTML = this.renderItem(item);
+                this.cellItems.set(cell, item);
+                rendered++;
+            }
+            cell.dataset.index = index;
+            cell.setAttribute('aria-posinset', index + 1);
+            cell.setAttribute('aria-setsize', this.items.length);
+
+            // Cells already in order stay where they are (moving the focused one would blur it)
+            if (cell === reference) {
+                reference = reference.nextSibling;
+            } else {
+                this.container.insertBefore(cell, reference);
+            }
+        });
+
+        const totalRows = Math.ceil(this.items.length / this.columns);
+        this.sizeSpacer(this.topSpacer, first);
+        this.sizeSpacer(this.bottomSpacer, totalRows - last);
+
+        if (rendered > 0) this.onRender();
+
+        // First rows only now have a real height: measure and redo the window with it
+        if (!this.measured && this.cells.size > 0) {
+            this.measure();
+            if (this.measured) this.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Create an empty cell
+     * @returns {HTMLElement} Cell
+     */
+    createCell() {
+        const cell = document.createElement('div');
+        cell.className = 'virtual-grid-cell';
+        cell.setAttribute('role', 'listitem');
+        return cell;
+    }
+
+    /**
+     * Make a spacer as tall as some rows (the grid gap after it completes the last one)
+     * @param {HTMLElement} spacer - Spacer
+     * @param {number} rows - Rows it stands for
+     */
+    sizeSpacer(spacer, rows) {
+        spacer.style.display = rows > 0 ? '' : 'none';
+        spacer.style.height = rows > 0 ? `${rows * this.rowStride - this.rowGap}px` : '0';
+    }
+
+    /**
+     * Stop listening and give the container back (content is left to the caller)
+     */
+    destroy() {
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleResize);
+        this.container.removeEventListener('focusin', this.handleFocusIn);
+        this.container.removeEventListener('focusout', this.handleFocusOut);
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+
+        this.container.removeAttribute('role');
+        this.container.removeAttribute('aria-label');
+        delete this.container.dataset.virtualized;
+        this.cells.clear();
+        this.pool = [];
+    }
+}
+
+// Export for use in other modules
+window.VirtualGrid = VirtualGrid;
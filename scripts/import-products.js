@@ -0,0 +1,358 @@
+// Importa produtos de um CSV ou JSON para a tabela "produtos" de data/produtos.db (insere ou atualiza por id).
+// Mostra antes as diferenças (novos, alterados e removidos) e só então grava.
+// Uso: node scripts/import-products.js <arquivo.csv|arquivo.json> [--db <arquivo.db>] [--dry-run]
+//      [--delete-missing] [--images-dir <pasta>] [--max-width <px>] [--keep-image-files]
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { loadBrowserScripts } = require('./lib/browser-context');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TABLE = 'produtos';
+
+function getArg(name, fallback) {
+	const index = process.argv.indexOf(name);
+	return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+function hasFlag(name) {
+	return process.argv.includes(name);
+}
+
+const INPUT_PATH = process.argv[2] && !process.argv[2].startsWith('--') ? path.resolve(process.argv[2]) : null;
+const DB_PATH = path.resolve(getArg('--db', path.join(ROOT_DIR, 'data', 'produtos.db')));
+const DRY_RUN = hasFlag('--dry-run');
+const DELETE_MISSING = hasFlag('--delete-missing');
+const KEEP_IMAGE_FILES = hasFlag('--keep-image-files');
+const MAX_WIDTH = Number(getArg('--max-width', 0)) || 0;
+// imagens locais são procuradas ao lado do arquivo importado e depois nesta pasta
+const IMAGES_DIR = path.resolve(getArg('--images-dir', path.join(ROOT_DIR, 'data', 'img')));
+
+// esquema criado quando o banco ou a tabela ainda não existem (colunas que faltarem são adicionadas)
+const COLUMNS = {
+	id: 'TEXT PRIMARY KEY',
+	titulo: 'TEXT',
+	descricao: 'TEXT',
+	preco_original: 'REAL',
+	preco_promocional: 'REAL',
+	desconto_percentual: 'REAL',
+	link_afiliado: 'TEXT',
+	imagens_base64: 'TEXT',
+	miniatura: 'TEXT',
+	categoria_principal: 'TEXT',
+	nichos: 'TEXT',
+	plataforma: 'TEXT',
+	avaliacao: 'REAL',
+	total_avaliacoes: 'INTEGER',
+	vendas: 'INTEGER',
+	data_inicio_promocao: 'TEXT',
+	data_fim_promocao: 'TEXT',
+	data_publicacao: 'TEXT',
+	status: 'TEXT',
+	ean: 'TEXT',
+	sku: 'TEXT'
+};
+const INDEXED_COLUMNS = ['categoria_principal', 'plataforma', 'status', 'data_fim_promocao', 'ean', 'sku'];
+const NUMBER_COLUMNS = ['preco_original', 'preco_promocional', 'desconto_percentual', 'avaliacao', 'total_avaliacoes', 'vendas'];
+const DATE_COLUMNS = ['data_inicio_promocao', 'data_fim_promocao', 'data_publicacao'];
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif', '.avif': 'image/avif', '.svg': 'image/svg+xml' };
+
+const window = loadBrowserScripts([
+	'utils.js',
+	'affiliate-links.js',
+	'promotion-lifecycle.js',
+	'product-schema.js',
+	'product-normalizer.js',
+	'csv-parser.js'
+]);
+
+// sqlite3 usa callbacks; as etapas abaixo ficam sequenciais com estas promessas
+function run(db, sql, params = []) {
+	return new Promise((resolve, reject) => db.run(sql, params, function (err) {
+		if (err) reject(err);
+		else resolve(this);
+	}));
+}
+
+function all(db, sql, params = []) {
+	return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+function isEmpty(value) {
+	return value === null || value === undefined || String(value).trim() === '';
+}
+
+function readInput(file) {
+	const text = fs.readFileSync(file, 'utf8');
+	const problems = [];
+
+	if (path.extname(file).toLowerCase() === '.json') {
+		const data = JSON.parse(text);
+		const rows = Array.isArray(data) ? data : (data.produtos || data.products);
+		if (!Array.isArray(rows)) throw new Error('JSON sem lista de produtos');
+		return { rows, problems };
+	}
+
+	const rows = window.CSVParser.parseRows(text, { onError: (problem) => problems.push(problem) });
+	return { rows, problems };
+}
+
+// imagem local (caminho relativo ao arquivo importado ou à pasta de imagens) -> caminho absoluto
+function findLocalImage(value) {
+	if (/^(data:|https?:\/\/)/i.test(value) || !IMAGE_TYPES[path.extname(value).toLowerCase()]) return null;
+	const candidates = [path.resolve(path.dirname(INPUT_PATH), value), path.resolve(IMAGES_DIR, value)];
+	return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+let sharp;
+function loadSharp() {
+	if (sharp === undefined) {
+		try {
+			sharp = require('sharp');
+		} catch (e) {
+			sharp = null;
+			console.warn('Aviso: pacote "sharp" não instalado; imagens embutidas sem redimensionar (npm install sharp)');
+		}
+	}
+	return sharp;
+}
+
+async function embedImage(file) {
+	let buffer = fs.readFileSync(file);
+	let type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+
+	if (MAX_WIDTH > 0 && type !== 'image/svg+xml' && loadSharp()) {
+		buffer = await sharp(buffer).resize({ width: MAX_WIDTH, withoutEnlargement: true }).webp({ quality: 80 }).toBuffer();
+		type = 'image/webp';
+	}
+	return `data:${type};base64,${buffer.toString('base64')}`;
+}
+
+// lista de imagens da linha -> texto da coluna (separadas por |), com imagens locais embutidas
+async function prepareImages(value) {
+	const images = window.ProductNormalizer.normalize({ imagens_base64: value }).imagens_base64;
+	const prepared = [];
+	for (const image of images) {
+		const file = KEEP_IMAGE_FILES ? null : findLocalImage(image);
+		if (!file && !KEEP_IMAGE_FILES && !/^(data:|https?:\/\/)/i.test(image) && IMAGE_TYPES[path.extname(image).toLowerCase()]) {
+			console.warn(`Aviso: imagem "${image}" não encontrada; mantido o nome (o site procura em data/img)`);
+		}
+		prepared.push(file ? await embedImage(file) : image);
+	}
+	return prepared.join('|');
+}
+
+function formatDate(value) {
+	const s = String(value).trim();
+	if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+	const date = window.PromotionLifecycle.parseDate(s);
+	return date ? date.toISOString() : s;
+}
+
+// linha do arquivo -> valores das colunas; células vazias não alteram o que já está no banco
+async function toDbRow(raw, existing) {
+	const row = {};
+	for (const column of Object.keys(COLUMNS)) {
+		const value = raw[column];
+		if (isEmpty(value)) continue;
+
+		if (NUMBER_COLUMNS.includes(column)) {
+			row[column] = window.ProductNormalizer.toNumber(value);
+		} else if (DATE_COLUMNS.includes(column)) {
+			row[column] = formatDate(value);
+		} else if (column === 'nichos') {
+			row[column] = (Array.isArray(value) ? value : String(value).split(',')).map(n => String(n).trim()).filter(Boolean).join(', ');
+		} else if (column === 'imagens_base64') {
+			row[column] = await prepareImages(value);
+		} else {
+			row[column] = String(value).trim();
+		}
+	}
+
+	// desconto sempre calculado a partir dos preços resultantes
+	const original = 'preco_original' in row ? row.preco_original : Number(existing && existing.preco_original) || 0;
+	const promotional = 'preco_promocional' in row ? row.preco_promocional : Number(existing && existing.preco_promocional) || 0;
+	if (original > 0 && promotional > 0 && promotional <= original) {
+		row.desconto_percentual = Math.round(((original - promotional) / original) * 100);
+	}
+	return row;
+}
+
+function sameValue(a, b) {
+	if (isEmpty(a) && isEmpty(b)) return true;
+	if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+	return String(a) === String(b);
+}
+
+function preview(value) {
+	if (isEmpty(value)) return '(vazio)';
+	const s = String(value);
+	if (s.startsWith('data:')) return `(${s.split('|').length} imagem(ns), ${Math.round(s.length / 1024)} KB)`;
+	return s.length > 60 ? `${s.slice(0, 57)}...` : s;
+}
+
+async function ensureSchema(db) {
+	await run(db, `CREATE TABLE IF NOT EXISTS ${TABLE} (${Object.entries(COLUMNS).map(([column, type]) => `${column} ${type}`).join(', ')})`);
+
+	const existing = (await all(db, `PRAGMA table_info(${TABLE})`)).map(column => column.name);
+	for (const [column, type] of Object.entries(COLUMNS)) {
+		if (!existing.includes(column)) {
+			await run(db, `ALTER TABLE ${TABLE} ADD COLUMN ${column} ${type.replace(' PRIMARY KEY', '')}`);
+			console.log(`Coluna adicionada: ${column}`);
+		}
+	}
+	for (const column of INDEXED_COLUMNS) {
+		await run(db, `CREATE INDEX IF NOT EXISTS idx_${TABLE}_${column} ON ${TABLE} (${column})`);
+	}
+}
+
+// bancos antigos (como o data/produtos.db original) têm "id INTEGER PRIMARY KEY": só aceitam ids numéricos
+async function hasIntegerId(db) {
+	const column = (await all(db, `PRAGMA table_info(${TABLE})`)).find(info => info.name === 'id');
+	return Boolean(column && column.pk && /^INTEGER$/i.test(String(column.type).trim()));
+}
+
+async function buildDiff(db, rows, integerId = false) {
+	const existingRows = await all(db, `SELECT * FROM ${TABLE}`);
+	const existing = new Map(existingRows.map(row => [String(row.id), row]));
+	const diff = { inserts: [], updates: [], deletes: [], unchanged: 0, skipped: [], warnings: 0 };
+	const seen = new Set();
+
+	for (const [index, raw] of rows.entries()) {
+		const id = isEmpty(raw.id) ? '' : String(raw.id).trim();
+		const current = existing.get(id);
+
+		// valida como o site: linhas com erro de esquema não são importadas
+		const product = window.ProductNormalizer.normalize(current ? { ...current, ...Object.fromEntries(Object.entries(raw).filter(([, value]) => !isEmpty(value))) } : raw);
+		const errors = product.problemas.filter(problem => problem.severity === 'error');
+		if (errors.length) {
+			diff.skipped.push({ index, id, errors });
+			continue;
+		}
+		// o INSERT falharia (datatype mismatch) e desfaria a importação inteira: a linha fica de fora antes
+		if (integerId && !/^-?(0|[1-9]\d*)$/.test(id)) {
+			diff.skipped.push({ index, id, errors: [{ field: 'id', message: 'o banco usa id numérico (INTEGER PRIMARY KEY); use um número inteiro' }] });
+			continue;
+		}
+		if (product.problemas.length) diff.warnings++;
+		if (seen.has(id)) {
+			diff.skipped.push({ index, id, errors: [{ field: 'id', message: 'id repetido no arquivo (vale a primeira linha)' }] });
+			continue;
+		}
+		seen.add(id);
+
+		const row = await toDbRow(raw, current);
+		if (!current) {
+			diff.inserts.push({ id, row });
+			continue;
+		}
+
+		const changes = Object.keys(row)
+			.filter(column => column !== 'id' && !sameValue(current[column], row[column]))
+			.map(column => ({ column, from: current[column], to: row[column] }));
+		if (changes.length) diff.updates.push({ id, titulo: row.titulo || current.titulo, changes });
+		else diff.unchanged++;
+	}
+
+	if (DELETE_MISSING) {
+		existing.forEach((row, id) => {
+			if (!seen.has(id)) diff.deletes.push({ id, titulo: row.titulo });
+		});
+	} else {
+		diff.missing = Array.from(existing.keys()).filter(id => !seen.has(id)).length;
+	}
+	return diff;
+}
+
+function printDiff(diff) {
+	console.log(`\nImportação de ${path.relative(process.cwd(), INPUT_PATH)} -> ${path.relative(process.cwd(), DB_PATH)} (tabela ${TABLE})\n`);
+
+	console.log(`+ ${diff.inserts.length} novos`);
+	diff.inserts.forEach(({ id, row }) => console.log(`  + ${id}  ${preview(row.titulo)}`));
+
+	console.log(`~ ${diff.updates.length} alterados`);
+	diff.updates.forEach(({ id, titulo, changes }) => {
+		console.log(`  ~ ${id}  ${preview(titulo)}`);
+		changes.forEach(({ column, from, to }) => console.log(`      ${column}: ${preview(from)} -> ${preview(to)}`));
+	});
+
+	if (DELETE_MISSING) {
+		console.log(`- ${diff.deletes.length} removidos (fora do arquivo)`);
+		diff.deletes.forEach(({ id, titulo }) => console.log(`  - ${id}  ${preview(titulo)}`));
+	} else if (diff.missing) {
+		console.log(`  ${diff.missing} produtos do banco não estão no arquivo e serão mantidos (use --delete-missing para removê-los)`);
+	}
+
+	console.log(`= ${diff.unchanged} sem alterações`);
+	if (diff.warnings) console.log(`  ${diff.warnings} linhas com avisos de dados (importadas; veja ?debug=dados no site)`);
+	if (diff.skipped.length) {
+		console.log(`! ${diff.skipped.length} linhas ignoradas`);
+		diff.skipped.forEach(({ index, id, errors }) => {
+			console.log(`  ! registro ${index + 1}${id ? ` (id ${id})` : ''}: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+		});
+	}
+}
+
+async function applyDiff(db, diff) {
+	await run(db, 'BEGIN');
+	try {
+		for (const { row } of diff.inserts) {
+			const columns = Object.keys(row);
+			await run(db, `INSERT INTO ${TABLE} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, columns.map(column => row[column]));
+		}
+		for (const { id, changes } of diff.updates) {
+			await run(db, `UPDATE ${TABLE} SET ${changes.map(({ column }) => `${column} = ?`).join(', ')} WHERE CAST(id AS TEXT) = ?`, [...changes.map(({ to }) => to), id]);
+		}
+		for (const { id } of diff.deletes) {
+			await run(db, `DELETE FROM ${TABLE} WHERE CAST(id AS TEXT) = ?`, [id]);
+		}
+		await run(db, 'COMMIT');
+	} catch (err) {
+		await run(db, 'ROLLBACK');
+		throw err;
+	}
+}
+
+async function main() {
+	if (!INPUT_PATH) {
+		console.error('Uso: node scripts/import-products.js <arquivo.csv|arquivo.json> [--db <arquivo.db>] [--dry-run] [--delete-missing] [--images-dir <pasta>] [--max-width <px>] [--keep-image-files]');
+		process.exit(1);
+	}
+
+	const { rows, problems } = readInput(INPUT_PATH);
+	problems.forEach(problem => console.warn(`${problem.severity === 'error' ? 'Erro' : 'Aviso'} no arquivo, linha ${problem.row}, coluna ${problem.column}: ${problem.message}`));
+	if (problems.some(problem => problem.severity === 'error')) {
+		console.error('Corrija os erros de leitura do arquivo antes de importar.');
+		process.exit(1);
+	}
+
+	// simulação: banco existente só para leitura; sem o arquivo, um banco em memória (nada é criado em disco)
+	let db;
+	if (!DRY_RUN) db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+	else if (fs.existsSync(DB_PATH)) db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READONLY);
+	else db = new sqlite3.Database(':memory:');
+	try {
+		// na simulação o banco não é alterado (nem o esquema); sem a tabela, tudo entra como novo
+		const hasTable = (await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [TABLE])).length > 0;
+		if (!DRY_RUN) await ensureSchema(db);
+		else if (!hasTable) await run(db, `CREATE TEMP TABLE ${TABLE} (${Object.keys(COLUMNS).join(', ')})`);
+
+		const diff = await buildDiff(db, rows, hasTable && await hasIntegerId(db));
+		printDiff(diff);
+
+		if (DRY_RUN) {
+			console.log('\nSimulação (--dry-run): nada foi gravado.');
+			return;
+		}
+		await applyDiff(db, diff);
+		console.log(`\nGravado: ${diff.inserts.length} novos, ${diff.updates.length} alterados, ${diff.deletes.length} removidos.`);
+	} finally {
+		db.close();
+	}
+}
+
+main().catch(err => {
+	console.error('Erro na importação:', err.message);
+	process.exit(1);
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+function escapeText(str) {
+	return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// document mínimo: só o necessário para Utils.sanitizeHtml (textContent -> innerHTML)
+function createDocumentShim() {
+	return {
+		createElement() {
+			let text = '';
+			return {
+				set textContent(value) {
+					text = value === null ? '' : String(value);
+				},
+				get textContent() {
+					return text;
+				},
+				get innerHTML() {
+					return escapeText(text);
+				}
+			};
+		}
+	};
+}
+
+/**
+ * Carrega scripts de js/ (feitos para o navegador) num contexto vm isolado,
+ * para que os scripts Node reutilizem o mesmo código do site (ex.: templates do ProductRenderer).
+ * @param {Array<string>} files - Nomes dos arquivos em js/, na mesma ordem do index.html
+ * @returns {Object} Contexto global (equivalente ao window) com os módulos exportados
+ */
+function loadBrowserScripts(files) {
+	const context = vm.createContext({
+		console,
+		Intl,
+		URL,
+		URLSearchParams,
+		btoa: (s) => Buffer.from(s, 'latin1').toString('base64'),
+		atob: (s) => Buffer.from(s, 'base64').toString('latin1'),
+		setTimeout,
+		clearTimeout,
+		setInterval,
+		clearInterval,
+		document: createDocumentShim()
+	});
+	context.window = context;
+
+	files.forEach(file => {
+		const filename = path.join(JS_DIR, file);
+		vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+	});
+
+	return context;
+}
+
+module.exports = { loadBrowserScripts };
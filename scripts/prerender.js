@@ -0,0 +1,285 @@
+// Gera páginas HTML estáticas para cada produto (/produto/{id}/) e categoria (/categoria/{slug}/)
+// a partir de data/produtos.db, reutilizando os templates do ProductRenderer.
+// Uso: node scripts/prerender.js [--out <pasta>] [--base-url https://dominio.com]
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { loadBrowserScripts } = require('./lib/browser-context');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DB_PATH = path.join(ROOT_DIR, 'data', 'produtos.db');
+const TEMPLATE_PATH = path.join(ROOT_DIR, 'index.html');
+const CNAME_PATH = path.join(ROOT_DIR, 'CNAME');
+const SITE_NAME = 'Caçador de Ofertas';
+const ITEMS_PER_PAGE = 12; // primeiro valor de FiltersManager.PAGE_SIZES (padrão da listagem)
+
+function getArg(name, fallback) {
+	const index = process.argv.indexOf(name);
+	return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+function getDefaultBaseUrl() {
+	// usa o domínio do CNAME (GitHub Pages), se existir
+	try {
+		const domain = fs.readFileSync(CNAME_PATH, 'utf8').trim();
+		if (domain) return `https://${domain}`;
+	} catch (e) {
+		// sem CNAME
+	}
+	return 'https://seudominio.com'; // <-- ALTERE para seu domínio (sem barra final)
+}
+
+const OUT_DIR = path.resolve(getArg('--out', ROOT_DIR));
+const BASE_URL = getArg('--base-url', getDefaultBaseUrl()).replace(/\/$/, '');
+const BASE_PATH = new URL(`${BASE_URL}/`).pathname;
+
+function escapeAttr(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/"/g, '&quot;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+}
+
+function slugify(str) {
+	return String(str)
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+}
+
+// segmento da URL e da pasta da página do produto (o mesmo nos dois); null para ids que sairiam de produto/
+function productSegment(id) {
+	const value = String(id);
+	if (/[\\/]/.test(value) || value.includes('..')) return null;
+	return encodeURIComponent(value);
+}
+
+function setTitle(html, title) {
+	return html.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeAttr(title)}</title>`);
+}
+
+// substitui <meta {attr}="{key}" ...> existente ou adiciona antes de </head>
+function setMeta(html, attr, key, content) {
+	const tag = `<meta ${attr}="${key}" content="${escapeAttr(content)}">`;
+	const pattern = new RegExp(`<meta ${attr}="${key.replace(/[.:]/g, '\\$&')}"[^>]*>`);
+	return pattern.test(html) ? html.replace(pattern, tag) : html.replace('</head>', `    ${tag}\n</head>`);
+}
+
+function addJsonLd(html, data) {
+	if (!data) return html;
+	return html.replace('</head>', `    ${window.StructuredData.toScriptTag(data)}\n</head>`);
+}
+
+function setHeadTags(html, { title, description, url, image, type }) {
+	html = setTitle(html, title);
+	html = setMeta(html, 'name', 'description', description);
+	html = setMeta(html, 'property', 'og:title', title);
+	html = setMeta(html, 'property', 'og:description', description);
+	html = setMeta(html, 'property', 'og:type', type);
+	html = setMeta(html, 'property', 'og:url', url);
+	html = setMeta(html, 'property', 'og:site_name', SITE_NAME);
+	if (image) html = setMeta(html, 'property', 'og:image', image);
+	html = setMeta(html, 'name', 'twitter:card', image ? 'summary_large_image' : 'summary');
+	html = setMeta(html, 'name', 'twitter:title', title);
+	html = setMeta(html, 'name', 'twitter:description', description);
+	if (image) html = setMeta(html, 'name', 'twitter:image', image);
+
+	// canonical + base (caminhos relativos de css/js/data continuam apontando para a raiz do site)
+	html = html.replace('</head>', `    <link rel="canonical" href="${escapeAttr(url)}">\n</head>`);
+	html = html.replace(/(<meta charset="UTF-8">)/, `$1\n    <base href="${escapeAttr(BASE_PATH)}">`);
+	return html;
+}
+
+function markPrerendered(html, type, extraAttrs = '') {
+	html = html.replace(/<body([^>]*)>/, `<body$1 data-prerendered="${type}"${extraAttrs}>`);
+	// conteúdo já está visível; o app não mostra o overlay de carregamento
+	return html.replace(/<div id="loading-overlay"/, '<div id="loading-overlay" style="display: none;"');
+}
+
+// primeira imagem com URL pública (URLs externas ou arquivos em data/img/; data URIs não servem para compartilhar)
+function getShareImage(product) {
+	const src = (product.imagens_base64 || [])
+		.map(img => window.ProductRenderer.normalizeImageSrc(img))
+		.find(img => img && (/^https?:\/\//i.test(img) || img.startsWith('data/')));
+	if (!src) return null;
+	return /^https?:\/\//i.test(src) ? src : `${BASE_URL}/${src.replace(/^\//, '')}`;
+}
+
+// imagens da tabela opcional "imagens" (produto_id, imagem, posicao, miniatura), agrupadas por produto
+function groupImages(rows) {
+	const byProduct = new Map();
+	rows
+		.slice()
+		.sort((a, b) => (a.posicao ?? a.ordem) - (b.posicao ?? b.ordem))
+		.forEach(row => {
+			const id = String(row.produto_id);
+			if (!byProduct.has(id)) byProduct.set(id, { imagens: [], miniatura: '' });
+			const entry = byProduct.get(id);
+			if (row.imagem) entry.imagens.push(String(row.imagem).trim());
+			if (!entry.miniatura && row.miniatura) entry.miniatura = String(row.miniatura).trim();
+		});
+	return byProduct;
+}
+
+function writePage(relativeDir, html) {
+	const dir = path.join(OUT_DIR, relativeDir);
+	fs.mkdirSync(dir, { recursive: true });
+	fs.writeFileSync(path.join(dir, 'index.html'), html, 'utf8');
+}
+
+function renderProductPage(template, product, window) {
+	const { Utils, ProductRenderer } = window;
+	const url = `${BASE_URL}/produto/${productSegment(product.id)}`;
+	const priceText = product.preco_promocional > 0 ? ` por ${Utils.formatCurrency(product.preco_promocional)}` : '';
+	const storeText = product.plataforma ? ` na ${product.plataforma}` : '';
+	const description = Utils.truncateText(
+		`${product.titulo}${priceText}${storeText}. ${product.descricao || ''}`.replace(/\s+/g, ' ').trim(),
+		160
+	);
+
+	let html = setHeadTags(template, {
+		title: `${product.titulo} | ${SITE_NAME}`,
+		description,
+		url,
+		image: getShareImage(product),
+		type: 'product'
+	});
+	html = markPrerendered(html, 'produto');
+	html = addJsonLd(html, window.StructuredData.buildProduct(product, { baseUrl: BASE_URL }));
+
+	const modal = ProductRenderer.renderProductModal(product)
+		.replace('class="product-modal ', 'data-prerendered class="product-modal ');
+	return html.replace('    <!-- Loading Overlay -->', `    <!-- Produto (pré-renderizado) -->\n${modal}\n\n    <!-- Loading Overlay -->`);
+}
+
+function renderCategoryPage(template, category, products, window) {
+	const { ProductRenderer } = window;
+	const url = `${BASE_URL}/categoria/${slugify(category)}`;
+	const description = `${products.length} ofertas em ${category} com os melhores descontos na Shopee, Amazon, AliExpress e outras lojas.`;
+
+	let html = setHeadTags(template, {
+		title: `Ofertas de ${category} | ${SITE_NAME}`,
+		description,
+		url,
+		image: products.map(getShareImage).find(Boolean) || null,
+		type: 'website'
+	});
+	html = markPrerendered(html, 'categoria', ` data-prerendered-category="${escapeAttr(category)}"`);
+
+	// mesma primeira página que o FiltersManager exibe (ordenação padrão: maior desconto)
+	const firstPage = products
+		.slice()
+		.sort((a, b) => b.desconto_percentual - a.desconto_percentual)
+		.slice(0, ITEMS_PER_PAGE);
+	const cards = firstPage.map(product => ProductRenderer.renderProduct(product)).join('');
+	html = addJsonLd(html, window.StructuredData.buildItemList(products, `Ofertas de ${category}`, { baseUrl: BASE_URL }));
+
+	return html.replace(
+		/(<div id="produtos-grid"[^>]*)>\s*<!-- Produtos serão inseridos aqui via JavaScript -->/,
+		`$1 data-prerendered>${cards}`
+	);
+}
+
+const window = loadBrowserScripts([
+	'utils.js',
+	'affiliate-links.js',
+	'promotion-lifecycle.js',
+	'product-schema.js',
+	'product-normalizer.js',
+	'countdown.js',
+	'structured-data.js',
+	'favorites.js',
+	'price-history.js',
+	'compare.js',
+	'image-gallery.js',
+	'product-renderer.js',
+	'search-index.js',
+	'recommendations.js',
+	'product-grouping.js'
+]);
+
+const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READONLY, (err) => {
+	if (err) {
+		console.error('Erro ao abrir banco SQLite:', err.message);
+		process.exit(1);
+	}
+});
+
+db.all('SELECT * FROM produtos', [], (err, rows) => {
+	if (err) {
+		db.close();
+		console.error('Erro ao consultar produtos:', err.message);
+		process.exit(1);
+	}
+
+	// páginas estáticas levam as imagens completas mesmo quando ficam na tabela "imagens"
+	db.all('SELECT rowid AS ordem, * FROM imagens', [], (imagesErr, imageRows) => {
+		db.close();
+		generatePages(rows, imagesErr ? new Map() : groupImages(imageRows));
+	});
+});
+
+function generatePages(rows, images) {
+	const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+	const products = rows.map(row => {
+		const product = window.ProductNormalizer.normalize(row);
+		const productImages = images.get(product.id);
+		if (productImages) {
+			product.imagens_base64 = productImages.imagens;
+			product.imagens = productImages.imagens.slice();
+			product.miniatura = product.miniatura || productImages.miniatura;
+		}
+		return product;
+	});
+	// linhas com erro de esquema não aparecem no site, então também não ganham página
+	const valid = products.filter(product => window.ProductSchema.isValid(product));
+	if (valid.length < products.length) {
+		console.warn(`${products.length - valid.length} produtos com erros ignorados (detalhes em ?debug=dados no site)`);
+	}
+	// links que não vão gerar comissão (regras em js/affiliate-links.js)
+	const missingIds = new Set();
+	valid.forEach(product => {
+		const problem = window.AffiliateLinks.check(product.link_afiliado, product.plataforma);
+		if (problem) console.warn(`Link de afiliado do produto ${product.id}: ${problem}`);
+		const platform = window.AffiliateLinks.missingId(product.link_afiliado);
+		if (platform) missingIds.add(platform);
+	});
+	// sem o ID, esses links sairiam sem tag: a geração falha até o ID ser configurado
+	if (missingIds.size > 0) {
+		console.error(`ID de afiliado não configurado para ${Array.from(missingIds).join(', ')}: preencha AffiliateLinks.AFFILIATE_IDS em js/affiliate-links.js`);
+		process.exit(1);
+	}
+	const { live, expired } = window.PromotionLifecycle.partition(valid);
+	const grouped = window.ProductGrouping.group(live);
+	window.Recommendations.setProducts(live);
+
+	// recria as pastas geradas para não deixar páginas de produtos removidos
+	['produto', 'categoria'].forEach(dir => fs.rmSync(path.join(OUT_DIR, dir), { recursive: true, force: true }));
+
+	// produtos encerrados continuam com página (links compartilhados mostram "Encerrada")
+	const withPage = live.concat(expired).filter(product => {
+		if (!product.id) return false;
+		if (productSegment(product.id) !== null) return true;
+		console.warn(`Produto ${product.id} sem página estática: o id não pode ter "/", "\\" nem ".."`);
+		return false;
+	});
+	withPage.forEach(product => {
+		writePage(path.join('produto', productSegment(product.id)), renderProductPage(template, product, window));
+	});
+
+	const byCategory = new Map();
+	grouped.forEach(product => {
+		const category = product.categoria_principal;
+		if (!byCategory.has(category)) byCategory.set(category, []);
+		byCategory.get(category).push(product);
+	});
+	byCategory.forEach((categoryProducts, category) => {
+		writePage(path.join('categoria', slugify(category)), renderCategoryPage(template, category, categoryProducts, window));
+	});
+
+	console.log(`Páginas geradas em ${OUT_DIR}: ${withPage.length} produtos, ${byCategory.size} categorias`);
+}